@@ -0,0 +1,109 @@
+const crypto = require("crypto");
+
+// Finished jobs kept in memory for GET /jobs before the oldest are dropped
+const MAX_FINISHED_JOBS = 500;
+
+/**
+ * Creates an in-process render queue running at most `concurrency` jobs at once
+ * @param {Object} options Queue options
+ * @param {number} options.concurrency Maximum number of jobs processed in parallel
+ * @param {Function} options.processJob async (job) => result, called for each job.
+ *   It may update job.progress while running; its resolved value is stored as job.result.
+ * @returns {Object} Queue API (enqueue, getJob, listJobs)
+ */
+function createJobQueue({ concurrency, processJob }) {
+  const maxConcurrency = Math.max(1, concurrency || 1);
+  const jobs = new Map(); // Insertion order = submission order
+  const pending = [];
+  let running = 0;
+
+  function pruneFinishedJobs() {
+    const finished = [...jobs.values()].filter(
+      (job) => job.status === "completed" || job.status === "failed"
+    );
+    for (const job of finished.slice(0, finished.length - MAX_FINISHED_JOBS)) {
+      jobs.delete(job.id);
+    }
+  }
+
+  async function runJob(job) {
+    running++;
+    job.status = "processing";
+    job.startedAt = new Date().toISOString();
+
+    try {
+      job.result = await processJob(job);
+      job.progress = 1;
+      job.status = "completed";
+    } catch (error) {
+      console.error(`[job ${job.id}] Failed:`, error);
+      job.status = "failed";
+      job.error = error.message;
+    } finally {
+      job.completedAt = new Date().toISOString();
+      running--;
+      pruneFinishedJobs();
+      drain();
+    }
+  }
+
+  function drain() {
+    while (running < maxConcurrency && pending.length > 0) {
+      runJob(pending.shift());
+    }
+  }
+
+  /**
+   * Adds a job to the queue
+   * @param {Object} input Job input (request body)
+   * @returns {Object} The queued job
+   */
+  function enqueue(input) {
+    const job = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      progress: 0,
+      progressDetail: null,
+      input,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+    };
+
+    jobs.set(job.id, job);
+    pending.push(job);
+    drain();
+
+    return job;
+  }
+
+  /**
+   * @param {string} id Job ID
+   * @returns {Object|null} The job or null if unknown
+   */
+  function getJob(id) {
+    return jobs.get(id) || null;
+  }
+
+  /**
+   * @param {Object} [filter] Optional filter
+   * @param {string} [filter.status] Only return jobs with this status
+   * @returns {Object[]} Jobs, newest first
+   */
+  function listJobs({ status } = {}) {
+    return [...jobs.values()]
+      .filter((job) => !status || job.status === status)
+      .reverse();
+  }
+
+  return {
+    enqueue,
+    getJob,
+    listJobs,
+    concurrency: maxConcurrency,
+  };
+}
+
+module.exports = createJobQueue;
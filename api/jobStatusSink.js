@@ -0,0 +1,21 @@
+// Status sink of the render pipeline (src/renderPipeline.js) for API jobs: progress lives on
+// the in-memory queue job; its status, result and error are set by the queue (api/jobQueue.js)
+
+/**
+ * Creates a status sink writing to a queue job
+ * @param {Object} job Job created by the queue
+ * @returns {Object} Status sink (see runRenderPipeline)
+ */
+function createJobStatusSink(job) {
+  return {
+    // In memory, so there is nothing to throttle
+    progressThrottleMs: 0,
+
+    onProgress: (snapshot) => {
+      job.progress = snapshot.percent / 100;
+      job.progressDetail = snapshot;
+    },
+  };
+}
+
+module.exports = createJobStatusSink;
@@ -3,10 +3,13 @@ const cors = require("cors");
 const bodyParser = require("body-parser");
 const path = require("path");
 const fs = require("fs");
-const { bundle } = require("@remotion/bundler");
-const { getCompositions, renderMedia } = require("@remotion/renderer");
-const generateDynamicVideo = require("../src/generateDynamicVideo");
-const { uploadToSupabase } = require("../libs/supabase/storage");
+const { getBundle } = require("../src/bundleCache");
+const { jobFromRequest } = require("../src/renderJob");
+const { runRenderPipeline } = require("../src/renderPipeline");
+const createJobQueue = require("./jobQueue");
+const createJobStatusSink = require("./jobStatusSink");
+const { assertValidPayload } = require("../libs/payloadSchema");
+const supabase = require("../config/supabase.config");
 
 // Create output directory if it doesn't exist
 const outputDir = path.resolve(__dirname, "../out");
@@ -32,169 +35,180 @@ app.post("/test-props", (req, res) => {
   });
 });
 
+/**
+ * Renders and uploads the video for a queued job
+ * @param {Object} job Job created by the queue; job.input holds the render job built by jobFromRequest
+ * @returns {Promise<Object>} Job result with the Supabase video URL
+ */
+async function renderVideo(job) {
+  // Same pipeline as the RunPod worker; progress goes to the in-memory job record
+  const { job: renderJob, ...result } = await runRenderPipeline({
+    id: job.id,
+    outputDir,
+    sink: createJobStatusSink(job),
+    buildJob: async () => job.input,
+  });
+
+  return {
+    ...result,
+    usedValues: {
+      titleText: renderJob.titleText,
+      textPosition: renderJob.textPosition,
+      sequentialMode: renderJob.sequentialMode,
+      splitScreen: renderJob.splitScreen,
+      splitPosition: renderJob.splitPosition,
+      usedVideoSource: renderJob.videoSource,
+      usedDemoVideoSource: renderJob.demoVideoSource,
+      usedAudioSource: renderJob.audioSource,
+    },
+  };
+}
+
+const renderQueue = createJobQueue({
+  concurrency: parseInt(process.env.RENDER_CONCURRENCY, 10) || 1,
+  processJob: renderVideo,
+});
+
+/**
+ * Public representation of a job for the status endpoints
+ * @param {Object} job Queue job
+ * @returns {Object} Job status payload
+ */
+function serializeJob(job) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    progress: Math.round(job.progress * 100),
+    phase: job.progressDetail ? job.progressDetail.phase : null,
+    etaSeconds: job.progressDetail ? job.progressDetail.eta_seconds : null,
+    videoUrl: job.result ? job.result.videoUrl : null,
+    posterUrl: job.result ? job.result.posterUrl : null,
+    previewUrl: job.result ? job.result.previewUrl : null,
+    outputs: job.result ? job.result.outputs : null,
+    hlsUrl: job.result ? job.result.hlsUrl : null,
+    quality: job.result ? job.result.quality : null,
+    usedValues: job.result ? job.result.usedValues : null,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+  };
+}
+
 app.post("/render-video", async (req, res) => {
+  // Log the raw request body first
+  console.log("Raw request body:", JSON.stringify(req.body));
+
+  // Same versioned schema as the RunPod handler and the edge function
   try {
-    // Log the raw request body first
-    console.log("Raw request body:", JSON.stringify(req.body));
-
-    // Extract props with defaults
-    const durationInSeconds = req.body.durationInSeconds || 10;
-    const audioOffsetInSeconds = req.body.audioOffsetInSeconds || 0; // Changed default to 0
-    const titleText = req.body.titleText || "Default Title";
-    const textPosition = req.body.textPosition || "bottom";
-    const enableAudio = req.body.enableAudio !== false; // Default to true
-
-    // Split screen parameters
-    const splitScreen = req.body.splitScreen || false;
-    const splitPosition = req.body.splitPosition;
-
-    // Direct URL parameters
-    const videoSource = req.body.videoSourceUrl;
-    const demoVideoSource = req.body.demoVideoSourceUrl;
-    const audioSource = req.body.audioSourceUrl;
-
-    // Validate splitPosition value
-    const validSplitPositions = [
-      "left-right",
-      "right-left",
-      "top-bottom",
-      "bottom-top",
-    ];
-    if (splitScreen && !validSplitPositions.includes(splitPosition)) {
-      return res.status(400).json({
-        success: false,
-        message:
-          "Invalid splitPosition value. Must be one of: left-right, right-left, top-bottom, bottom-top",
-      });
-    }
-
-    // Log explicit values for debugging
-    console.log("\nExtracted titleText:", titleText);
-    console.log("Duration of the Video (seconds):", durationInSeconds);
-    console.log("Extracted textPosition:", textPosition);
-    console.log("Enable additional audio:", enableAudio);
-    console.log("Split screen mode:", splitScreen);
-    console.log("Split screen position:", splitPosition);
-    console.log("Video source URL:", videoSource);
-    console.log("Demo video source URL:", demoVideoSource);
-    console.log("Audio source URL:", audioSource);
-    console.log("Audio offset (seconds):", audioOffsetInSeconds);
-
-    // Generate a dynamic video component with the specified values
-    console.log("\nGenerating dynamic component with title:", titleText);
-    const { indexPath, componentName } = generateDynamicVideo({
-      titleText,
-      durationInSeconds,
-      audioOffsetInSeconds,
-      textPosition,
-      videoSource,
-      audioSource,
-      enableAudio: true, // Always enable audio if audioSource is provided
-      splitScreen,
-      demoVideoSource,
-      splitPosition,
+    await assertValidPayload(req.body, "api");
+  } catch (err) {
+    return res.status(400).json({
+      success: false,
+      message: err.message,
+      code: err.code,
+      errors: err.errors,
     });
+  }
 
-    console.log("Generated dynamic component:", componentName);
-    console.log("Dynamic index path:", indexPath);
-
-    // Generate a unique filename
-    const outputFilename = `video-${Date.now()}.mp4`;
-    const outputPath = path.resolve(outputDir, outputFilename);
-
-    // Bundle the dynamic Remotion project
-    console.log("Bundling dynamic component...");
-    // Don't pass bundleOptions, use default options
-    const bundled = await bundle(indexPath);
-
-    // Get the compositions
-    const compositions = await getCompositions(bundled);
-    const composition = compositions.find((c) => c.id === componentName);
-
-    if (!composition) {
-      throw new Error(`Composition '${componentName}' not found`);
-    }
-
-    // Calculate frames based on duration
-    const durationInFrames = Math.floor(durationInSeconds * composition.fps);
-
-    // Render the video
-    console.log("Starting render...");
-    await renderMedia({
-      composition,
-      serveUrl: bundled,
-      codec: "h264",
-      outputLocation: outputPath,
-      durationInFrames,
-      timeoutInMilliseconds: 420000, // 7 minutes overall timeout
-      delayRenderTimeoutInMilliseconds: 300000, // 5 minutes for delayRender timeouts
-
-      onProgress: (progress) => {
-        // Use process.stdout.write with \r to update the same line
-        process.stdout.write(
-          `\rRendering progress: ${Math.floor(progress.progress * 100)}%`
-        );
-
-        // Add a newline when rendering is complete
-        if (progress.progress === 1) {
-          process.stdout.write("\n");
-        }
-      },
+  // Validate every option up front, so a bad request fails before it is queued
+  let renderJob;
+  try {
+    renderJob = await jobFromRequest(req.body);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
     });
+  }
 
-    // Clean up the generated component files
-    try {
-      fs.unlinkSync(indexPath);
-      fs.unlinkSync(indexPath.replace("-index.jsx", ".jsx"));
-      console.log("Cleaned up temporary component files");
-    } catch (err) {
-      console.warn("Failed to clean up temporary component files:", err);
-    }
-
-    console.log("Video rendered successfully. Uploading to Supabase...");
-
-    // Upload the rendered video to Supabase storage
-    const supabaseUrl = await uploadToSupabase(outputPath, outputFilename);
-    console.log("Video uploaded to Supabase:", supabaseUrl);
-
-    // Clean up the local video file
-    try {
-      fs.unlinkSync(outputPath);
-      console.log("Deleted local video file");
-    } catch (err) {
-      console.warn("Failed to delete local video file:", err);
-    }
-
-    console.log(
-      "\n-------------------------------------------\n-------------------------------------------\n"
-    );
-
-    // Return the Supabase URL to download the video
-    res.json({
-      success: true,
-      message: "Video rendered and uploaded successfully",
-      videoUrl: supabaseUrl,
-      usedValues: {
-        titleText,
-        textPosition,
-        splitScreen,
-        splitPosition,
-        usedVideoSource: videoSource,
-        usedDemoVideoSource: demoVideoSource,
-        usedAudioSource: audioSource,
-      },
+  // Log explicit values for debugging
+  console.log("\nExtracted titleText:", renderJob.titleText);
+  console.log("Fallback duration of the video (seconds):", renderJob.fallbackDuration);
+  console.log("Extracted textPosition:", renderJob.textPosition);
+  console.log("Sequential mode:", renderJob.sequentialMode);
+  console.log("Split screen mode:", renderJob.splitScreen);
+  console.log("Split screen position:", renderJob.splitPosition);
+  console.log("Video source URL:", renderJob.videoSource);
+  console.log("Demo video source URL:", renderJob.demoVideoSource);
+  console.log("Audio source URL:", renderJob.audioSource);
+  console.log("Audio offset (seconds):", renderJob.audioOffsetInSeconds);
+
+  // Queue the render and answer right away; progress is polled via GET /jobs/:id
+  const job = renderQueue.enqueue(renderJob);
+
+  console.log(`Queued render job ${job.id}`);
+
+  res.status(202).json({
+    success: true,
+    message: "Video render queued",
+    jobId: job.id,
+    statusUrl: `/jobs/${job.id}`,
+  });
+});
+
+// List jobs (newest first), optionally filtered with ?status=queued|processing|completed|failed
+app.get("/jobs", (req, res) => {
+  const jobs = renderQueue.listJobs({ status: req.query.status });
+  res.json({
+    success: true,
+    concurrency: renderQueue.concurrency,
+    jobs: jobs.map(serializeJob),
+  });
+});
+
+app.get("/jobs/:id", (req, res) => {
+  const job = renderQueue.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: `Job '${req.params.id}' not found`,
     });
-  } catch (error) {
-    console.error("Error rendering or uploading video:", error);
-    res.status(500).json({
+  }
+
+  res.json({ success: true, ...serializeJob(job) });
+});
+
+// Live progress of a RunPod worker job, as written to its generated_videos row
+app.get("/generated-videos/:id/progress", async (req, res) => {
+  const { data, error } = await supabase
+    .from("generated_videos")
+    .select("id, status, progress, remotion_video, remotion_hls, poster_url, preview_url, error")
+    .eq("id", req.params.id)
+    .maybeSingle();
+
+  if (error) {
+    return res.status(500).json({
       success: false,
-      message: "Failed to process video",
+      message: "Failed to read video progress",
       error: error.message,
-      stack: error.stack,
     });
   }
+  if (!data) {
+    return res.status(404).json({
+      success: false,
+      message: `Generated video '${req.params.id}' not found`,
+    });
+  }
+
+  res.json({
+    success: true,
+    id: data.id,
+    status: data.status,
+    progress: data.progress,
+    videoUrl: data.remotion_video,
+    hlsUrl: data.remotion_hls,
+    posterUrl: data.poster_url,
+    previewUrl: data.preview_url,
+    error: data.error,
+  });
 });
 
 app.listen(port, () => {
   console.log(`Server running at http://localhost:${port}\n`);
+
+  // Build (or load) the Remotion bundle up front so the first render doesn't pay for it
+  getBundle().catch((err) => {
+    console.error("Failed to prepare Remotion bundle at startup:", err);
+  });
 });
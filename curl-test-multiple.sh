@@ -30,4 +30,4 @@ curl -X POST http://localhost:3000/render-video \
     "splitScreen": false
   }'
 
-echo -e "\n\nNow try viewing the videos at the URLs shown above."
\ No newline at end of file
+echo -e "\n\nList the queued jobs with: curl http://localhost:3000/jobs"
\ No newline at end of file
@@ -16,4 +16,4 @@ curl -X POST http://localhost:3000/render-video \
     "splitPosition": "left-right"
   }'
 
-echo -e "\n\nNow try viewing the video at the URL shown above."
\ No newline at end of file
+echo -e "\n\nPoll the job with: curl http://localhost:3000/jobs/<jobId> (videoUrl is set once status is completed)."
\ No newline at end of file
@@ -6,6 +6,8 @@ const fs = require('fs');
 const supabase = require('./config/supabase.config');
 const handleVideoGeneration = require('./src/videoGeneration');
 const ffmpeg = require('fluent-ffmpeg');
+const { hasImageExtension, getMediaTypeFromProbe } = require('./libs/mediaType');
+const { assertValidPayload } = require('./libs/payloadSchema');
 
 // Create output directory if it doesn't exist - Use /tmp for serverless environments
 const outputDir = path.resolve('/tmp', './out'); 
@@ -14,10 +16,10 @@ if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
 }
 
-// Path to the Remotion bundle (Assuming it's copied in Dockerfile)
-const bundlePath = path.join(__dirname, 'dist');
+// The Remotion bundle lives in dist/ (built in the Dockerfile) and is loaded by
+// handleVideoGeneration through src/bundleCache.js
 
-// Function to validate video file (Keep as it's used by handleVideoGeneration indirectly via ensureCompatibleCodec)
+// Function to validate a video or still image input (Keep as it's used by handleVideoGeneration indirectly via ensureCompatibleCodec)
 async function validateVideo(videoUrl) {
     return new Promise((resolve, reject) => {
         if (!videoUrl) {
@@ -28,6 +30,12 @@ async function validateVideo(videoUrl) {
         console.log('Validating video:', videoUrl);
 
         ffmpeg.ffprobe(videoUrl, (err, metadata) => {
+            if (err && hasImageExtension(videoUrl)) {
+                // Some ffprobe builds cannot read every WebP/JPEG variant; Chrome renders them anyway
+                console.warn(`Could not probe image ${videoUrl}, accepting it from its extension`);
+                resolve({ type: 'image' });
+                return;
+            }
             if (err) {
                 console.error('Video validation error:', err);
                 reject(new Error(`Failed to validate video: ${err.message}`));
@@ -41,8 +49,10 @@ async function validateVideo(videoUrl) {
                 return;
             }
 
-            // Get video metadata without codec restrictions
+            // Get video metadata without codec restrictions (still images are single-frame
+            // video streams; handleVideoGeneration shows them with Ken Burns motion)
             resolve({
+                type: getMediaTypeFromProbe(metadata),
                 width: videoStream.width,
                 height: videoStream.height,
                 duration: parseFloat(metadata.format.duration),
@@ -55,6 +65,26 @@ async function validateVideo(videoUrl) {
     });
 }
 
+// Records a schema validation failure on the row, since handleVideoGeneration never runs for it
+async function markPayloadInvalid(id, validationError) {
+    const { error: updateError } = await supabase
+        .from('generated_videos')
+        .update({
+            error: {
+                message: validationError.message,
+                code: validationError.code,
+                errors: validationError.errors,
+                timestamp: new Date().toISOString(),
+            },
+            status: 'failed',
+        })
+        .eq('id', id);
+
+    if (updateError) {
+        console.error(`Node: Failed to record the validation error for ID ${id}:`, updateError);
+    }
+}
+
 // This function is now the main execution logic called from the command line
 async function processVideoJob(jobInput) {
     console.log("Node.js script invoked with input:", JSON.stringify(jobInput, null, 2));
@@ -73,10 +103,18 @@ async function processVideoJob(jobInput) {
     console.log(`Node: Processing job for ID: ${id}`);
 
     try {
-        // --- Keep validation logic if necessary ---
-        if (!videoData.remotion) {
-             throw new Error("Missing 'remotion' configuration in input data");
+        // Reject malformed payloads (typos, bad enum values...) before probing or transcoding anything
+        try {
+            const schemaVersion = await assertValidPayload(videoData, 'row');
+            console.log(`Node: Payload matches schema version ${schemaVersion}.`);
+        } catch (validationError) {
+            if (validationError.errors) {
+                await markPayloadInvalid(id, validationError);
+            }
+            throw validationError;
         }
+
+        // --- Keep validation logic if necessary ---
         if (videoData.remotion.template) {
             console.log(`Node: Validating template URL: ${videoData.remotion.template}`);
             await validateVideo(videoData.remotion.template);
@@ -87,6 +125,14 @@ async function processVideoJob(jobInput) {
             await validateVideo(videoData.remotion.demo);
              console.log("Node: Demo URL validated.");
         }
+        if (Array.isArray(videoData.remotion.clips)) {
+            for (const [index, clip] of videoData.remotion.clips.entries()) {
+                if (!clip || !clip.url) continue; // Reported by buildClips
+                console.log(`Node: Validating clip ${index} URL: ${clip.url}`);
+                await validateVideo(clip.url);
+            }
+            console.log("Node: Clip URLs validated.");
+        }
         // -------------------------------------------
 
         console.log('Node: Starting video generation process...');
@@ -126,6 +172,8 @@ async function processVideoJob(jobInput) {
         // Return error response as JSON string for Python
         return JSON.stringify({
             error: `Video generation failed for ID ${id}: ${error.message}`,
+            // Machine-readable details of schema validation failures
+            ...(error.errors ? { code: error.code, errors: error.errors } : {}),
         });
     } finally {
         // Cleanup temporary files if needed (handleVideoGeneration might do this)
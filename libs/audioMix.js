@@ -0,0 +1,267 @@
+// Per-track audio mixing: source clip volumes, background music fades,
+// music ducking under the template's voice track and fitting the music to the video length
+
+const util = require("util");
+const { execFile } = require("child_process");
+const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
+const { getFfmpegError } = require("./utils");
+
+const execFilePromise = util.promisify(execFile);
+
+// Anything quieter than this for at least SILENCE_MIN_SECONDS counts as a pause in speech
+const SILENCE_THRESHOLD = "-35dB";
+const SILENCE_MIN_SECONDS = 0.35;
+
+const DEFAULT_MUSIC_VOLUME = 0.25;
+const DEFAULT_DUCKED_VOLUME = 0.4; // Fraction of the music volume kept while the voice is speaking
+
+const DEFAULT_FIT_CROSSFADE = 1; // Seconds of crossfade between loops in fit mode
+const FIT_FADE_OUT = 1.5; // Seconds of fade-out when fit mode cuts the music short
+const MIN_LOOP_SECONDS = 1; // Shorter sections are not looped
+
+/**
+ * Builds the audio mix settings of a job
+ * @param {Object} [options] Audio options
+ * @param {number} [options.templateVolume=1] Template clip volume
+ * @param {number} [options.demoVolume] Demo clip volume (layout default: muted in split screen, 1 in sequential)
+ * @param {number} [options.musicVolume] Background music volume (0.25, or 1 in music-only mode)
+ * @param {number} [options.musicFadeIn=0] Music fade-in in seconds
+ * @param {number} [options.musicFadeOut=0] Music fade-out in seconds
+ * @param {boolean} [options.musicOnly=false] Mute the source clips and play only the music
+ * @param {boolean} [options.ducking=true] Lower the music while the template voice is speaking
+ * @param {number} [options.duckedVolume=0.4] Fraction of the music volume kept while ducked
+ * @param {number} [options.duckAttack=0.2] Seconds to duck down before speech starts
+ * @param {number} [options.duckRelease=0.5] Seconds to come back up after speech ends
+ * @returns {Object} Audio mix (speech segments are filled in later by detectSpeechSegments)
+ */
+function buildAudioMix(options) {
+  if (!options) return buildAudioMix({});
+
+  const musicOnly = options.musicOnly === true;
+
+  return {
+    musicOnly,
+    templateVolume: musicOnly ? 0 : options.templateVolume ?? 1,
+    demoVolume: musicOnly ? 0 : options.demoVolume ?? null,
+    musicVolume: options.musicVolume ?? (musicOnly ? 1 : DEFAULT_MUSIC_VOLUME),
+    musicFadeIn: options.musicFadeIn ?? 0,
+    musicFadeOut: options.musicFadeOut ?? 0,
+    ducking: {
+      enabled: !musicOnly && options.ducking !== false,
+      volume: options.duckedVolume ?? DEFAULT_DUCKED_VOLUME,
+      attack: options.duckAttack ?? 0.2,
+      release: options.duckRelease ?? 0.5,
+      segments: [],
+    },
+  };
+}
+
+/**
+ * Maps the snake_case `remotion.audio` settings of the generated_videos row to buildAudioMix options
+ * @param {Object} [raw] e.g. { template_volume, music_fade_in, music_only, ducking, ... }
+ * @returns {Object} camelCase audio options
+ */
+function audioMixFromRow(raw) {
+  if (!raw) return {};
+
+  return {
+    templateVolume: raw.template_volume,
+    demoVolume: raw.demo_volume,
+    musicVolume: raw.music_volume,
+    musicFadeIn: raw.music_fade_in,
+    musicFadeOut: raw.music_fade_out,
+    musicOnly: raw.music_only,
+    ducking: raw.ducking,
+    duckedVolume: raw.ducked_volume,
+    duckAttack: raw.duck_attack,
+    duckRelease: raw.duck_release,
+  };
+}
+
+/**
+ * Fills in the defaults of how the background music is trimmed and fitted to the video
+ * (ranges and trimEnd > trimStart are checked by the payload schema)
+ * @param {Object} [options] Music options
+ * @param {number} [options.trimStart=0] Where the music starts in the track, in seconds
+ * @param {number} [options.trimEnd] Where the music ends in the track, in seconds (track end by default)
+ * @param {boolean} [options.loop=false] Repeat the trimmed section until the video ends
+ * @param {boolean} [options.fit=false] Fit to the video length: loop with crossfades when the
+ *   music is shorter, trim with a fade-out when it is longer
+ * @param {number} [options.crossfade] Crossfade between loops in seconds (1s in fit mode, 0 otherwise)
+ * @returns {Object} Music options
+ */
+function buildMusicOptions(options = {}) {
+  const fit = options.fit === true;
+  return {
+    trimStart: options.trimStart ?? 0,
+    trimEnd: options.trimEnd ?? null,
+    loop: options.loop === true,
+    fit,
+    crossfade: options.crossfade ?? (fit ? DEFAULT_FIT_CROSSFADE : 0),
+  };
+}
+
+/**
+ * Maps `remotion.sound` of the generated_videos row: either the music URL or
+ * { url, trim_start, trim_end, loop, fit, crossfade }
+ * @param {string|Object} [sound] Sound field of the row
+ * @returns {Object} Music URL and camelCase buildMusicOptions options
+ */
+function musicFromRow(sound) {
+  if (!sound) return { url: null };
+  if (typeof sound === "string") return { url: sound };
+
+  return {
+    url: sound.url || null,
+    trimStart: sound.trim_start,
+    trimEnd: sound.trim_end,
+    loop: sound.loop,
+    fit: sound.fit,
+    crossfade: sound.crossfade,
+  };
+}
+
+/**
+ * Lays the music out on the video timeline: one segment per repetition of the
+ * trimmed section, crossfaded into each other when looping
+ * @param {Object} music Music options built by buildMusicOptions
+ * @param {Object} durations Durations in seconds
+ * @param {number} durations.trackDuration Length of the music file (null when unknown)
+ * @param {number} durations.videoDuration Length of the video
+ * @returns {Object[]} Segments: [{ from, startFrom, duration, fadeIn, fadeOut }] in seconds
+ *   (duration null = until the video ends)
+ */
+function planMusicSegments(music, { trackDuration, videoDuration }) {
+  const { trimStart, fit } = music;
+  const trimEnd = music.trimEnd ?? trackDuration;
+
+  if (trimEnd === null || trimEnd === undefined) {
+    if (music.loop || fit) {
+      console.warn("Unknown music length: playing it once without looping");
+    }
+    return [{ from: 0, startFrom: trimStart, duration: null, fadeIn: 0, fadeOut: 0 }];
+  }
+
+  const sectionLength = Math.max(0, trimEnd - trimStart);
+  const shouldLoop = (music.loop || fit) && sectionLength < videoDuration;
+
+  if (!shouldLoop || sectionLength < MIN_LOOP_SECONDS) {
+    if (shouldLoop) {
+      console.warn(`Music section of ${sectionLength}s is too short to loop`);
+    }
+    const duration = Math.min(sectionLength, videoDuration);
+    const isCut = fit && sectionLength > videoDuration;
+    return [
+      {
+        from: 0,
+        startFrom: trimStart,
+        duration,
+        fadeIn: 0,
+        fadeOut: isCut ? Math.min(FIT_FADE_OUT, duration / 2) : 0,
+      },
+    ];
+  }
+
+  // Each repetition starts `crossfade` seconds before the previous one ends
+  const crossfade = Math.min(music.crossfade, sectionLength / 2);
+  const step = sectionLength - crossfade;
+
+  const segments = [];
+  for (let from = 0; from < videoDuration; from += step) {
+    const duration = Math.min(sectionLength, videoDuration - from);
+    const isLast = from + step >= videoDuration;
+    const isCut = duration < sectionLength;
+
+    let fadeOut = isLast ? 0 : crossfade;
+    if (isLast && isCut && fit) fadeOut = Math.min(FIT_FADE_OUT, duration / 2);
+
+    segments.push({
+      from,
+      startFrom: trimStart,
+      duration,
+      fadeIn: segments.length > 0 ? crossfade : 0,
+      fadeOut,
+    });
+  }
+
+  return segments;
+}
+
+/**
+ * Finds where someone is speaking in a clip's audio using ffmpeg's silencedetect
+ * @param {string} mediaUrl Path or URL of the clip
+ * @returns {Promise<Object[]>} Speech segments ([{ start, end }] in seconds), empty if the clip has no audio
+ */
+async function detectSpeechSegments(mediaUrl) {
+  if (!mediaUrl) return [];
+
+  try {
+    const { stderr } = await execFilePromise(
+      ffmpegPath,
+      [
+        "-hide_banner",
+        "-nostats",
+        "-i",
+        mediaUrl,
+        "-map",
+        "0:a:0",
+        "-af",
+        `silencedetect=noise=${SILENCE_THRESHOLD}:d=${SILENCE_MIN_SECONDS}`,
+        "-f",
+        "null",
+        "-",
+      ],
+      { maxBuffer: 10 * 1024 * 1024 }
+    );
+
+    const durationMatch = /Duration: (\d+):(\d+):([\d.]+)/.exec(stderr);
+    if (!durationMatch) {
+      console.warn(`Could not detect speech: unknown duration for ${mediaUrl}`);
+      return [];
+    }
+    const duration =
+      Number(durationMatch[1]) * 3600 +
+      Number(durationMatch[2]) * 60 +
+      Number(durationMatch[3]);
+
+    // Speech is everything between the detected silences
+    const segments = [];
+    let speechStart = 0;
+    for (const match of stderr.matchAll(/silence_(start|end): (-?[\d.]+)/g)) {
+      const time = Math.max(0, Number(match[2]));
+      if (match[1] === "start") {
+        if (time > speechStart) segments.push({ start: speechStart, end: time });
+        speechStart = null;
+      } else {
+        speechStart = time;
+      }
+    }
+    if (speechStart !== null && speechStart < duration) {
+      segments.push({ start: speechStart, end: duration });
+    }
+
+    console.log(
+      `Detected ${segments.length} speech segment(s) in ${mediaUrl}`
+    );
+    return segments.map(({ start, end }) => ({
+      start: Math.round(start * 1000) / 1000,
+      end: Math.round(end * 1000) / 1000,
+    }));
+  } catch (err) {
+    if (/matches no streams/.test(err.stderr || "")) {
+      console.log(`No audio track to detect speech in: ${mediaUrl}`);
+    } else {
+      console.warn(`Could not detect speech in ${mediaUrl}: ${getFfmpegError(err)}`);
+    }
+    return [];
+  }
+}
+
+module.exports = {
+  buildAudioMix,
+  audioMixFromRow,
+  buildMusicOptions,
+  musicFromRow,
+  planMusicSegments,
+  detectSpeechSegments,
+};
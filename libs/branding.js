@@ -0,0 +1,99 @@
+// Validates the brand logo overlay shown on top of every layout
+
+const { CORNERS } = require("../src/constants");
+const { validateRange } = require("./utils");
+
+const DEFAULT_BRANDING = {
+  position: "top-right",
+  size: 15, // Logo width in % of the frame width
+  opacity: 0.9,
+  margin: 4, // Distance from the frame edges in % of the frame width
+  fadeIn: 0, // seconds
+};
+
+/**
+ * Maps snake_case branding settings (job row or brands table) to buildBranding options
+ * @param {Object} [raw] e.g. { brand_id, logo_url, position, size, opacity, margin, fade_in }
+ * @returns {Object} camelCase branding options
+ */
+function brandingFromRow(raw) {
+  if (!raw) return {};
+
+  return {
+    brandId: raw.brand_id,
+    logoUrl: raw.logo_url,
+    position: raw.position,
+    size: raw.size,
+    opacity: raw.opacity,
+    margin: raw.margin,
+    fadeIn: raw.fade_in,
+  };
+}
+
+/**
+ * Fills the options left unset on the job with the brand's saved defaults
+ * @param {Object} options Job branding options (camelCase)
+ * @param {Object} [brandDefaults] Brand defaults (camelCase)
+ * @returns {Object} Merged options
+ */
+function mergeBrandDefaults(options, brandDefaults = {}) {
+  const merged = { ...brandDefaults };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null) merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Validates the logo overlay settings and applies their defaults. Unlike the other job
+ * settings these are checked here: the brand defaults come from the brands table, which the
+ * payload schema never sees.
+ * @param {Object} [options] Branding options (merged with the brand defaults, see mergeBrandDefaults)
+ * @param {string} options.logoUrl Logo image URL (PNG with transparency works best)
+ * @param {string|Object} [options.position="top-right"] A corner (see CORNERS in constants.js) or the logo center { x, y } in %
+ * @param {number} [options.size=15] Logo width in % of the frame width (2-50)
+ * @param {number} [options.opacity=0.9] Logo opacity (0-1)
+ * @param {number} [options.margin=4] Distance from the frame edges in % of the frame width (corners only)
+ * @param {number} [options.fadeIn=0] Fade-in time in seconds
+ * @returns {Object|null} Branding, or null when no logo is set
+ */
+function buildBranding(options) {
+  if (!options || !options.logoUrl) {
+    if (options && options.brandId) {
+      throw new Error(`Invalid branding: brand ${options.brandId} has no logo_url`);
+    }
+    return null;
+  }
+  if (typeof options.logoUrl !== "string") {
+    throw new Error("Invalid branding.logoUrl: must be a URL");
+  }
+
+  let position = options.position ?? DEFAULT_BRANDING.position;
+  if (typeof position === "string") {
+    if (!CORNERS.includes(position)) {
+      throw new Error(
+        `Invalid branding.position: must be one of ${CORNERS.join(", ")} or { x, y }`
+      );
+    }
+  } else {
+    position = {
+      x: validateRange(position.x, "branding.position.x", 0, 100),
+      y: validateRange(position.y, "branding.position.y", 0, 100),
+    };
+  }
+
+  return {
+    logoUrl: options.logoUrl,
+    position,
+    size: validateRange(options.size, "branding.size", 2, 50, DEFAULT_BRANDING.size),
+    opacity: validateRange(options.opacity, "branding.opacity", 0, 1, DEFAULT_BRANDING.opacity),
+    margin: validateRange(options.margin, "branding.margin", 0, 20, DEFAULT_BRANDING.margin),
+    fadeIn: validateRange(options.fadeIn, "branding.fadeIn", 0, 10, DEFAULT_BRANDING.fadeIn),
+  };
+}
+
+module.exports = {
+  brandingFromRow,
+  mergeBrandDefaults,
+  buildBranding,
+};
@@ -0,0 +1,106 @@
+// Multi-clip timelines: clip defaults and laying the clips out one after the other
+
+const { buildTransition, fitTransition } = require("./transitions");
+
+// Used when a clip's length can be neither probed nor derived from its trim
+const FALLBACK_CLIP_DURATION = 5; // seconds
+
+/**
+ * Applies the defaults of the clips of a timeline (their fields, ranges and
+ * trimOut > trimIn are checked by the payload schema)
+ * @param {Object[]} clips Clips: [{ url, trimIn, trimOut, speed, layout, transition }]. trimIn/trimOut
+ *   are in seconds of the source, speed is the playback rate (0.25-4) and transition is the
+ *   transition into the clip (see buildTransition in transitions.js)
+ * @param {Object} [options] Options
+ * @param {boolean} [options.fromRow=false] Whether fields use the snake_case row format (trim_in, trim_out)
+ * @param {Object} [options.transition] Default transition between clips
+ * @returns {Object[]} Clips ({ url, trimIn, trimOut, speed, layout, transition })
+ */
+function buildClips(clips, { fromRow = false, transition = null } = {}) {
+  if (!clips) return [];
+
+  return clips.map((clip) => ({
+    url: clip.url.trim(),
+    trimIn: (fromRow ? clip.trim_in : clip.trimIn) ?? 0,
+    trimOut: (fromRow ? clip.trim_out : clip.trimOut) ?? null,
+    speed: clip.speed ?? 1,
+    layout: clip.layout ?? "cover",
+    transition: buildTransition(clip.transition ?? transition ?? undefined),
+  }));
+}
+
+/**
+ * Places the clips on one timeline: each clip starts when the previous one ends,
+ * minus the overlap of the transition into it
+ * @param {Object[]} clips Clips built by buildClips (with `src` set to the playable URL)
+ * @param {number[]} sourceDurations Probed length of each clip's source in seconds (null when unknown)
+ * @returns {{clips: Object[], durationInSeconds: number}} Clips with their `start` and
+ *   `duration` on the timeline (in seconds) and the total length
+ */
+function planTimeline(clips, sourceDurations) {
+  const planned = [];
+  let end = 0;
+
+  clips.forEach((clip, index) => {
+    // A trim past the end of the source plays until the source ends
+    const sourceDuration = sourceDurations[index];
+    const sourceEnd =
+      sourceDuration === null || sourceDuration === undefined
+        ? clip.trimOut
+        : Math.min(clip.trimOut ?? sourceDuration, sourceDuration);
+    if (sourceEnd !== null && sourceEnd !== undefined && clip.trimIn >= sourceEnd) {
+      throw new Error(
+        `Invalid clips[${index}].trimIn: ${clip.trimIn}s is past the end of the source (${sourceEnd}s)`
+      );
+    }
+
+    let duration;
+    if (sourceEnd === null || sourceEnd === undefined) {
+      console.warn(
+        `Unknown duration for clip ${index} (${clip.url}), using ${FALLBACK_CLIP_DURATION}s`
+      );
+      duration = FALLBACK_CLIP_DURATION;
+    } else {
+      duration = (sourceEnd - clip.trimIn) / clip.speed;
+    }
+
+    // The first clip has nothing to transition from
+    const previous = planned[index - 1];
+    const transition = previous
+      ? fitTransition(clip.transition, previous.duration, duration)
+      : { ...clip.transition, duration: 0 };
+
+    const start = Math.max(0, end - transition.duration);
+    planned.push({ ...clip, transition, start, duration });
+    end = start + duration;
+  });
+
+  return { clips: planned, durationInSeconds: end };
+}
+
+/**
+ * Moves speech segments detected in a clip's source onto the timeline
+ * @param {Object[]} segments Speech segments in seconds of the source ([{ start, end }])
+ * @param {Object} clip Clip planned by planTimeline
+ * @returns {Object[]} Segments in seconds of the timeline, limited to the part of the clip that plays
+ */
+function mapSegmentsToTimeline(segments, clip) {
+  const clipEnd = clip.start + clip.duration;
+
+  return segments
+    .map(({ start, end }) => ({
+      start: clip.start + (start - clip.trimIn) / clip.speed,
+      end: clip.start + (end - clip.trimIn) / clip.speed,
+    }))
+    .filter(({ start, end }) => end > clip.start && start < clipEnd)
+    .map(({ start, end }) => ({
+      start: Math.max(start, clip.start),
+      end: Math.min(end, clipEnd),
+    }));
+}
+
+module.exports = {
+  buildClips,
+  planTimeline,
+  mapSegmentsToTimeline,
+};
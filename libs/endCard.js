@@ -0,0 +1,92 @@
+// End card appended to the timeline, with its QR code rendered locally
+// (no external QR service)
+
+const QRCode = require("qrcode");
+
+const DEFAULT_END_CARD = {
+  duration: 3, // seconds
+  backgroundColor: "#111111",
+  textColor: "#FFFFFF",
+  accentColor: "#FFE600", // CTA button
+};
+
+/**
+ * Maps the snake_case `remotion.end_card` settings of the generated_videos row
+ * @param {Object} [raw] e.g. { headline, cta_text, product_image, qr_url, background_color, ... }
+ * @returns {Object} camelCase buildEndCard options
+ */
+function endCardFromRow(raw) {
+  if (!raw) return null;
+
+  return {
+    headline: raw.headline,
+    ctaText: raw.cta_text,
+    productImage: raw.product_image,
+    qrUrl: raw.qr_url,
+    backgroundColor: raw.background_color,
+    textColor: raw.text_color,
+    accentColor: raw.accent_color,
+    duration: raw.duration,
+  };
+}
+
+/**
+ * Renders a QR code as an SVG data URL
+ * @param {string} url URL encoded in the QR code
+ * @returns {Promise<string>} data:image/svg+xml URL
+ */
+async function createQrCodeDataUrl(url) {
+  const svg = await QRCode.toString(url, {
+    type: "svg",
+    errorCorrectionLevel: "M",
+    margin: 2,
+    color: { dark: "#000000", light: "#FFFFFF" }, // Keep full contrast so it always scans
+  });
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`;
+}
+
+/**
+ * Applies the end card defaults and generates its QR code (the payload schema makes
+ * sure it has some content)
+ * @param {Object} [options] End card options (null = no end card)
+ * @param {string} [options.headline] Headline
+ * @param {string} [options.ctaText] Call-to-action button text
+ * @param {string} [options.productImage] Product image URL
+ * @param {string} [options.qrUrl] URL encoded in the QR code
+ * @param {string} [options.backgroundColor="#111111"] Brand background color
+ * @param {string} [options.textColor="#FFFFFF"] Brand text color
+ * @param {string} [options.accentColor="#FFE600"] Brand accent color (CTA button)
+ * @param {number} [options.duration=3] Seconds added to the end of the video
+ * @returns {Promise<Object|null>} End card, or null when none is requested
+ */
+async function buildEndCard(options) {
+  if (!options) return null;
+
+  const { headline, ctaText, productImage, qrUrl } = options;
+
+  let qrCode = null;
+  if (qrUrl) {
+    try {
+      qrCode = await createQrCodeDataUrl(qrUrl);
+    } catch (error) {
+      throw new Error(`Invalid end card QR code URL: ${error.message}`);
+    }
+  }
+
+  return {
+    headline: headline || null,
+    ctaText: ctaText || null,
+    productImage: productImage || null,
+    qrUrl: qrUrl || null,
+    qrCode,
+    backgroundColor: options.backgroundColor || DEFAULT_END_CARD.backgroundColor,
+    textColor: options.textColor || DEFAULT_END_CARD.textColor,
+    accentColor: options.accentColor || DEFAULT_END_CARD.accentColor,
+    duration: options.duration ?? DEFAULT_END_CARD.duration,
+  };
+}
+
+module.exports = {
+  endCardFromRow,
+  buildEndCard,
+};
@@ -0,0 +1,210 @@
+// HLS packaging: an adaptive bitrate ladder (one H.264 rendition per size) with a master
+// playlist, encoded with ffmpeg from the rendered video
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { execFile } = require("child_process");
+const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
+const { getFfmpegError } = require("./utils");
+const PAYLOAD_VALUES = require("../supabase/functions/_shared/payloadValues.json");
+
+const execFilePromise = util.promisify(execFile);
+
+// Video bitrate in kbps of each rendition, by the size of the short side of the frame
+// (1080p, 720p...). Its keys are the renditions a job can ask for.
+const RENDITION_BITRATES = PAYLOAD_VALUES.hlsRenditionBitrates;
+
+const DEFAULT_RENDITIONS = [1080, 720, 480];
+const AUDIO_BITRATE = 128; // kbps
+const MAXRATE_FACTOR = 1.07; // Peak video bitrate allowed over the target
+
+// H.264 levels (Main profile) by the frame size and macroblock rate they allow, lowest first.
+// Each rendition is encoded at the lowest level that fits so the playlist can declare its codec.
+const H264_LEVELS = [
+  { level: 30, maxFrameSize: 1620, maxMacroblockRate: 40500 },
+  { level: 31, maxFrameSize: 3600, maxMacroblockRate: 108000 },
+  { level: 32, maxFrameSize: 5120, maxMacroblockRate: 216000 },
+  { level: 40, maxFrameSize: 8192, maxMacroblockRate: 245760 },
+  { level: 42, maxFrameSize: 8704, maxMacroblockRate: 522240 },
+  { level: 50, maxFrameSize: 22080, maxMacroblockRate: 589824 },
+  { level: 51, maxFrameSize: 36864, maxMacroblockRate: 983040 },
+];
+const AUDIO_CODEC = "mp4a.40.2"; // AAC-LC
+const MASTER_PLAYLIST = "master.m3u8";
+
+/**
+ * Applies the defaults of the HLS settings of a job. The payload schema checks the
+ * renditions and segment length, and that the job has a video format to package.
+ * @param {boolean|Object} [options] true for the default ladder, or:
+ * @param {number[]} [options.renditions=[1080, 720, 480]] Sizes of the short side of the frame
+ *   (1080, 720, 480 or 360). Renditions larger than the video are skipped.
+ * @param {number} [options.segmentDuration=4] Segment length in seconds (1-10)
+ * @returns {Object|null} HLS options, or null when disabled
+ */
+function buildHlsOptions(options) {
+  if (!options) return null;
+  const settings = options === true ? {} : options;
+
+  return {
+    renditions: [...new Set(settings.renditions || DEFAULT_RENDITIONS)].sort((a, b) => b - a),
+    segmentDuration: settings.segmentDuration ?? 4,
+  };
+}
+
+/**
+ * Maps `remotion.hls` of the generated_videos row: true or { renditions, segment_duration }
+ * @param {boolean|Object} [raw] HLS field of the row
+ * @returns {boolean|Object} camelCase buildHlsOptions options
+ */
+function hlsFromRow(raw) {
+  if (!raw || raw === true) return raw;
+
+  return {
+    renditions: raw.renditions,
+    segmentDuration: raw.segment_duration,
+  };
+}
+
+/**
+ * Lowest H.264 level that can hold a rendition
+ * @param {{width: number, height: number}} rendition Frame size
+ * @param {number} fps Frame rate
+ * @returns {number} Level times ten (e.g. 40 for level 4.0)
+ */
+function getH264Level({ width, height }, fps) {
+  const frameSize = Math.ceil(width / 16) * Math.ceil(height / 16);
+  const match = H264_LEVELS.find(
+    ({ maxFrameSize, maxMacroblockRate }) =>
+      frameSize <= maxFrameSize && frameSize * fps <= maxMacroblockRate
+  );
+  return (match || H264_LEVELS[H264_LEVELS.length - 1]).level;
+}
+
+/**
+ * Frame size of each rendition that fits in the video (the full size when none does)
+ * @param {number[]} renditions Short side sizes, largest first
+ * @param {{width: number, height: number, fps: number}} video Rendered video size and frame rate
+ * @returns {Object[]} [{ name, width, height, bitrate, level }] (level: see getH264Level)
+ */
+function planRenditions(renditions, { width, height, fps }) {
+  const shortSide = Math.min(width, height);
+  const even = (value) => Math.round(value / 2) * 2;
+
+  const planned = renditions
+    .filter((size) => size <= shortSide)
+    .map((size) => {
+      const frame = { width: even((width * size) / shortSide), height: even((height * size) / shortSide) };
+      return {
+        name: `${size}p`,
+        ...frame,
+        bitrate: RENDITION_BITRATES[size],
+        level: getH264Level(frame, fps),
+      };
+    });
+
+  if (planned.length > 0) return planned;
+
+  // Smaller than every rendition: a single one at the video's own size
+  const size = renditions[renditions.length - 1];
+  console.warn(`Video is smaller than every HLS rendition, packaging it at ${width}x${height}`);
+  return [
+    {
+      name: `${shortSide}p`,
+      width,
+      height,
+      bitrate: RENDITION_BITRATES[size],
+      level: getH264Level({ width, height }, fps),
+    },
+  ];
+}
+
+/**
+ * Packages a video into an HLS ladder: a media playlist and its segments per rendition,
+ * plus the master playlist referencing them
+ * @param {string} videoPath Rendered video
+ * @param {string} outputDir Folder to write the playlists and segments to (created if missing)
+ * @param {Object} options HLS options built by buildHlsOptions
+ * @param {{width: number, height: number, fps: number}} video Rendered video size and frame rate
+ * @returns {Promise<string>} Path of the master playlist
+ */
+async function packageHls(videoPath, outputDir, options, video) {
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const renditions = planRenditions(options.renditions, video);
+  // Keyframes on segment boundaries so every rendition switches cleanly
+  const gop = Math.max(1, Math.round(video.fps * options.segmentDuration));
+
+  let hasAudio = false;
+  for (const rendition of renditions) {
+    console.log(`Packaging HLS rendition ${rendition.name} (${rendition.width}x${rendition.height})`);
+    try {
+      const { stderr } = await execFilePromise(
+        ffmpegPath,
+        [
+          "-hide_banner",
+          "-y",
+          "-i", videoPath,
+          "-map", "0:v:0",
+          "-map", "0:a:0?",
+          "-vf", `scale=${rendition.width}:${rendition.height},setsar=1`,
+          "-c:v", "libx264",
+          "-preset", "medium",
+          "-profile:v", "main",
+          "-level:v", (rendition.level / 10).toFixed(1),
+          "-pix_fmt", "yuv420p",
+          "-b:v", `${rendition.bitrate}k`,
+          "-maxrate", `${Math.round(rendition.bitrate * MAXRATE_FACTOR)}k`,
+          "-bufsize", `${rendition.bitrate * 2}k`,
+          "-g", String(gop),
+          "-keyint_min", String(gop),
+          "-sc_threshold", "0",
+          "-c:a", "aac",
+          "-b:a", `${AUDIO_BITRATE}k`,
+          "-ac", "2",
+          "-f", "hls",
+          "-hls_time", String(options.segmentDuration),
+          "-hls_playlist_type", "vod",
+          "-hls_segment_filename", path.join(outputDir, `${rendition.name}_%03d.ts`),
+          path.join(outputDir, `${rendition.name}.m3u8`),
+        ],
+        { maxBuffer: 10 * 1024 * 1024 }
+      );
+      // The audio track is optional ("0:a:0?"): a silent render has none
+      hasAudio = /Stream #0:\d+.*: Audio:/.test(stderr);
+    } catch (err) {
+      throw new Error(`Failed to package HLS rendition ${rendition.name}: ${getFfmpegError(err)}`);
+    }
+  }
+
+  // BANDWIDTH is the peak bitrate of a rendition, as players pick renditions from it
+  const audioBitrate = hasAudio ? AUDIO_BITRATE : 0;
+  const streamInfo = (rendition) => {
+    const codecs = [`avc1.4d40${rendition.level.toString(16).padStart(2, "0")}`];
+    if (hasAudio) codecs.push(AUDIO_CODEC);
+
+    return (
+      `#EXT-X-STREAM-INF:BANDWIDTH=${(Math.round(rendition.bitrate * MAXRATE_FACTOR) + audioBitrate) * 1000},` +
+      `AVERAGE-BANDWIDTH=${(rendition.bitrate + audioBitrate) * 1000},` +
+      `RESOLUTION=${rendition.width}x${rendition.height},` +
+      `CODECS="${codecs.join(",")}"`
+    );
+  };
+
+  const masterPlaylist = [
+    "#EXTM3U",
+    "#EXT-X-VERSION:3",
+    ...renditions.flatMap((rendition) => [streamInfo(rendition), `${rendition.name}.m3u8`]),
+    "",
+  ].join("\n");
+
+  const masterPath = path.join(outputDir, MASTER_PLAYLIST);
+  fs.writeFileSync(masterPath, masterPlaylist);
+  return masterPath;
+}
+
+module.exports = {
+  buildHlsOptions,
+  hlsFromRow,
+  packageHls,
+};
@@ -0,0 +1,88 @@
+// Detects whether an input is a video or a still image, and how still images
+// are shown (display duration and Ken Burns motion)
+
+const path = require("path");
+const ffmpeg = require("fluent-ffmpeg");
+
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp"];
+const IMAGE_CODECS = ["mjpeg", "png", "webp"];
+
+const DEFAULT_IMAGE_OPTIONS = {
+  duration: 5, // seconds on screen
+  motion: "zoom-in",
+  zoom: 1.15, // Scale reached by the motion
+};
+
+/**
+ * Whether a path or URL has a still image extension (.jpg, .jpeg, .png, .webp)
+ * @param {string} mediaUrl Path or URL
+ * @returns {boolean} True for image extensions
+ */
+function hasImageExtension(mediaUrl) {
+  const extension = path.extname(new URL(mediaUrl, "file:///").pathname).toLowerCase();
+  return IMAGE_EXTENSIONS.includes(extension);
+}
+
+/**
+ * Media type from ffprobe metadata: images are single-frame image2 / *_pipe inputs
+ * @param {Object} metadata ffprobe metadata (fluent-ffmpeg)
+ * @returns {string} "image" or "video"
+ */
+function getMediaTypeFromProbe(metadata) {
+  const formatName = metadata.format.format_name || "";
+  const videoStream = metadata.streams.find((s) => s.codec_type === "video");
+  const isImage =
+    videoStream &&
+    IMAGE_CODECS.includes(videoStream.codec_name) &&
+    /(^|,)image2(,|$)|_pipe/.test(formatName);
+
+  return isImage ? "image" : "video";
+}
+
+/**
+ * Detects the media type of a file with ffprobe, falling back to its extension
+ * @param {string} mediaUrl Path or URL of the file
+ * @returns {Promise<string>} "image" or "video"
+ */
+function detectMediaType(mediaUrl) {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(mediaUrl, (err, metadata) => {
+      if (err) {
+        // Fall back to the extension so a flaky probe does not break the job
+        const type = hasImageExtension(mediaUrl) ? "image" : "video";
+        console.warn(
+          `Could not probe media type of ${mediaUrl} (${err.message}), assuming ${type} from its extension`
+        );
+        resolve(type);
+        return;
+      }
+
+      resolve(getMediaTypeFromProbe(metadata));
+    });
+  });
+}
+
+/**
+ * Applies the defaults of how a still image input is shown (ranges are checked by
+ * the payload schema)
+ * @param {Object} [options] Options
+ * @param {number} [options.duration=5] Seconds on screen
+ * @param {string} [options.motion="zoom-in"] Ken Burns motion (see KEN_BURNS_MOTIONS in constants.js)
+ * @param {number} [options.zoom=1.15] Scale reached by the motion (1-2)
+ * @returns {Object} Image options ({ duration, motion, zoom })
+ */
+function buildImageOptions(options) {
+  const { duration, motion, zoom } = options ?? {};
+  return {
+    duration: duration ?? DEFAULT_IMAGE_OPTIONS.duration,
+    motion: motion ?? DEFAULT_IMAGE_OPTIONS.motion,
+    zoom: zoom ?? DEFAULT_IMAGE_OPTIONS.zoom,
+  };
+}
+
+module.exports = {
+  hasImageExtension,
+  getMediaTypeFromProbe,
+  detectMediaType,
+  buildImageOptions,
+};
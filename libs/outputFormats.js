@@ -0,0 +1,193 @@
+// Output codecs and containers of a job. A job can ask for several formats: Remotion renders
+// one master file and the other formats are encoded from it with ffmpeg.
+
+const path = require("path");
+const util = require("util");
+const { execFile } = require("child_process");
+const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
+const { getFfmpegError } = require("./utils");
+const PAYLOAD_VALUES = require("../supabase/functions/_shared/payloadValues.json");
+
+const execFilePromise = util.promisify(execFile);
+
+// Formats without a video stream (no poster, preview or HLS)
+const AUDIO_ONLY_FORMATS = PAYLOAD_VALUES.audioOnlyFormats;
+
+/**
+ * Encoding of the formats the payload schema accepts: Remotion codec, file extension
+ * and the ffmpeg arguments used to encode it from the master file
+ */
+const OUTPUT_FORMATS = {
+  mp4: {
+    codec: "h264",
+    extension: "mp4",
+    ffmpegArgs: [
+      "-c:v", "libx264", "-crf", "18", "-preset", "medium", "-pix_fmt", "yuv420p",
+      "-c:a", "aac", "-b:a", "192k", "-movflags", "+faststart",
+    ],
+  },
+  h265: {
+    codec: "h265",
+    extension: "mp4",
+    ffmpegArgs: [
+      "-c:v", "libx265", "-crf", "23", "-preset", "medium", "-pix_fmt", "yuv420p",
+      "-tag:v", "hvc1", // Needed by Apple players
+      "-c:a", "aac", "-b:a", "192k", "-movflags", "+faststart",
+    ],
+  },
+  webm: {
+    codec: "vp9",
+    extension: "webm",
+    ffmpegArgs: [
+      "-c:v", "libvpx-vp9", "-crf", "32", "-b:v", "0", "-pix_fmt", "yuv420p",
+      "-c:a", "libopus", "-b:a", "128k",
+    ],
+  },
+  "webm-vp8": {
+    codec: "vp8",
+    extension: "webm",
+    ffmpegArgs: [
+      "-c:v", "libvpx", "-crf", "10", "-b:v", "4M", "-pix_fmt", "yuv420p",
+      "-c:a", "libvorbis", "-b:a", "128k",
+    ],
+  },
+  prores: {
+    codec: "prores",
+    extension: "mov",
+    proResProfile: "hq",
+    ffmpegArgs: [
+      "-c:v", "prores_ks", "-profile:v", "3", // ProRes 422 HQ
+      "-pix_fmt", "yuv422p10le", "-c:a", "pcm_s16le",
+    ],
+  },
+  gif: {
+    codec: "gif",
+    extension: "gif",
+    ffmpegArgs: [
+      "-filter_complex", "[0:v]fps=15,split[a][b];[a]palettegen[p];[b][p]paletteuse",
+      "-an", "-loop", "0",
+    ],
+  },
+  mp3: {
+    codec: "mp3",
+    extension: "mp3",
+    ffmpegArgs: ["-vn", "-c:a", "libmp3lame", "-b:a", "192k"],
+  },
+  aac: {
+    codec: "aac",
+    extension: "m4a",
+    ffmpegArgs: ["-vn", "-c:a", "aac", "-b:a", "192k", "-movflags", "+faststart"],
+  },
+  wav: {
+    codec: "wav",
+    extension: "wav",
+    ffmpegArgs: ["-vn", "-c:a", "pcm_s16le"],
+  },
+};
+
+// A format added to payloadValues.json needs its encoding here
+const unsupportedFormats = PAYLOAD_VALUES.outputFormats.filter((format) => !OUTPUT_FORMATS[format]);
+if (unsupportedFormats.length > 0) {
+  throw new Error(`No encoding settings for output format(s): ${unsupportedFormats.join(", ")}`);
+}
+
+/**
+ * Normalizes the requested output formats (their names are checked by the payload schema)
+ * @param {string|string[]} [formats="mp4"] One format or a list of formats (see OUTPUT_FORMATS).
+ *   The first one is the job's main output.
+ * @returns {string[]} Formats without duplicates
+ */
+function buildOutputFormats(formats) {
+  if (formats === undefined || formats === null) return ["mp4"];
+  return [...new Set([formats].flat())];
+}
+
+/**
+ * Whether any of the formats has a video stream (posters, previews and HLS need one)
+ * @param {string[]} formats Formats built by buildOutputFormats
+ * @returns {boolean}
+ */
+function hasVideoOutput(formats) {
+  return formats.some((format) => !AUDIO_ONLY_FORMATS.includes(format));
+}
+
+/**
+ * Picks the format Remotion renders: the only format of the job, or a master every other
+ * format can be encoded from (ProRes when requested, otherwise H.264, or uncompressed WAV
+ * when every format is audio only)
+ * @param {string[]} formats Formats built by buildOutputFormats
+ * @returns {string} Master format
+ */
+function getMasterFormat(formats) {
+  if (formats.length === 1) return formats[0];
+  if (!hasVideoOutput(formats)) return "wav";
+  return formats.includes("prores") ? "prores" : "mp4";
+}
+
+/**
+ * Remotion renderMedia options of a format
+ * @param {string} format Format rendered by Remotion
+ * @param {Object} qualitySettings Settings of the render quality (see getQualitySettings in
+ *   libs/outputProfile.js); the x264 preset and CRF only apply to H.264
+ * @param {boolean} isMaster Whether other formats are encoded from the output
+ * @returns {Object} { codec, proResProfile, x264Preset, crf, numberOfGifLoops, enforceAudioTrack }
+ */
+function getRenderOptions(format, qualitySettings, isMaster) {
+  const { codec, proResProfile } = OUTPUT_FORMATS[format];
+  const isH264 = codec === "h264";
+
+  return {
+    codec,
+    proResProfile,
+    x264Preset: isH264 ? qualitySettings.x264Preset : null,
+    crf: isH264 ? qualitySettings.crf : null,
+    numberOfGifLoops: codec === "gif" ? 0 : null, // Loop forever
+    enforceAudioTrack: isMaster, // Audio-only formats need a track even when the video is silent
+  };
+}
+
+/**
+ * Encodes the requested formats from the master file rendered by Remotion
+ * @param {string} masterPath Rendered master file
+ * @param {string} masterFormat Format of the master file
+ * @param {string[]} formats Requested formats
+ * @returns {Promise<Object[]>} Output files in the order of the formats: [{ format, path }]
+ *   (the master file is one of them when it was requested)
+ */
+async function encodeOutputFormats(masterPath, masterFormat, formats) {
+  const { dir, name } = path.parse(masterPath);
+  const outputs = [];
+
+  for (const format of formats) {
+    if (format === masterFormat) {
+      outputs.push({ format, path: masterPath });
+      continue;
+    }
+
+    const { extension, ffmpegArgs } = OUTPUT_FORMATS[format];
+    const outputPath = path.join(dir, `${name}-${format}.${extension}`);
+    console.log(`Encoding ${format} output from ${masterFormat} master: ${outputPath}`);
+
+    try {
+      await execFilePromise(
+        ffmpegPath,
+        ["-hide_banner", "-y", "-i", masterPath, ...ffmpegArgs, outputPath],
+        { maxBuffer: 10 * 1024 * 1024 }
+      );
+    } catch (err) {
+      throw new Error(`Failed to encode the ${format} output: ${getFfmpegError(err)}`);
+    }
+    outputs.push({ format, path: outputPath });
+  }
+
+  return outputs;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  buildOutputFormats,
+  hasVideoOutput,
+  getMasterFormat,
+  getRenderOptions,
+  encodeOutputFormats,
+};
@@ -0,0 +1,84 @@
+// Resolves the output frame size and frame rate of a job
+
+const {
+  DEFAULT_VIDEO_CONFIG,
+  OUTPUT_PROFILES,
+  DEFAULT_OUTPUT_PROFILE,
+} = require("../src/constants");
+
+// Render and transcode settings per quality. Drafts render at half resolution and
+// at most 15fps with the fastest x264 presets, and are uploaded under their own prefix.
+const QUALITY_SETTINGS = {
+  final: {
+    scale: 1,
+    maxFps: null,
+    x264Preset: "medium",
+    crf: null, // Remotion's default
+    transcodePreset: "medium",
+    transcodeCrf: 23,
+    storagePrefix: "",
+  },
+  draft: {
+    scale: 0.5,
+    maxFps: 15,
+    x264Preset: "ultrafast",
+    crf: 28,
+    transcodePreset: "ultrafast",
+    transcodeCrf: 30,
+    storagePrefix: process.env.SUPABASE_DRAFT_PREFIX || "drafts/",
+  },
+};
+
+/**
+ * Resolves a job's output profile to the composition's video config (custom sizes and
+ * the frame rate range are checked by the payload schema)
+ * @param {Object} [options] Output options
+ * @param {string} [options.profile="9:16"] 9:16, 1:1, 4:5, 16:9 or custom
+ * @param {number} [options.width] Frame width in px (required for custom)
+ * @param {number} [options.height] Frame height in px (required for custom)
+ * @param {number} [options.fps=30] Frame rate
+ * @returns {{profile: string, width: number, height: number, fps: number}} Video config
+ */
+function buildVideoConfig(options) {
+  if (!options) return buildVideoConfig({});
+
+  const profile = options.profile || DEFAULT_OUTPUT_PROFILE;
+  const size =
+    profile === "custom"
+      ? { width: options.width, height: options.height }
+      : OUTPUT_PROFILES[profile];
+
+  return { profile, ...size, fps: options.fps ?? DEFAULT_VIDEO_CONFIG.fps };
+}
+
+/**
+ * Applies a render quality to a video config. The composition keeps its full frame size
+ * (so layouts and text sizes don't change) and is scaled down at render time.
+ * @param {Object} videoConfig Video config built by buildVideoConfig
+ * @param {string} [quality="final"] final or draft
+ * @returns {Object} Video config with its quality (and the draft frame rate cap)
+ */
+function applyQuality(videoConfig, quality) {
+  const renderQuality = quality || "final";
+  const { maxFps } = QUALITY_SETTINGS[renderQuality];
+  return {
+    ...videoConfig,
+    quality: renderQuality,
+    fps: maxFps ? Math.min(videoConfig.fps, maxFps) : videoConfig.fps,
+  };
+}
+
+/**
+ * Render, transcode and storage settings of a video config's quality
+ * @param {Object} videoConfig Video config (final when it has no quality)
+ * @returns {Object} { scale, maxFps, x264Preset, crf, transcodePreset, transcodeCrf, storagePrefix }
+ */
+function getQualitySettings(videoConfig) {
+  return QUALITY_SETTINGS[(videoConfig && videoConfig.quality) || "final"];
+}
+
+module.exports = {
+  buildVideoConfig,
+  applyQuality,
+  getQualitySettings,
+};
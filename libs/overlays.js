@@ -0,0 +1,42 @@
+// Normalizes timed text overlays (hook, benefit line, CTA...) for the compositions
+
+const { buildTextStyle, textStyleFromRow } = require("../src/textStyles");
+
+const DEFAULT_ANIMATION_DURATION = 0.4; // seconds
+
+/**
+ * Normalizes timed text overlays and applies their defaults. Fields, ranges and
+ * end > start are checked by the payload schema.
+ * @param {Object[]} overlays Overlays: [{ text, start, end, position, style, enter, exit, animationDuration }]
+ *   with times in seconds. position is top, center, bottom or { x, y } in %.
+ * @param {Object} [options] Options
+ * @param {boolean} [options.fromRow=false] Whether fields and styles use the snake_case row format
+ * @returns {Object[]} Overlays sorted by start time
+ */
+function buildOverlays(overlays, { fromRow = false } = {}) {
+  if (!overlays) return [];
+
+  return overlays
+    .map((overlay) => {
+      const { start, end } = overlay;
+      const animationDuration =
+        (fromRow ? overlay.animation_duration : overlay.animationDuration) ??
+        DEFAULT_ANIMATION_DURATION;
+
+      return {
+        text: overlay.text.trim(),
+        start,
+        end,
+        position: overlay.position ?? "bottom",
+        style: buildTextStyle(fromRow ? textStyleFromRow(overlay.style) : overlay.style),
+        enter: overlay.enter ?? "fade",
+        exit: overlay.exit ?? "fade",
+        animationDuration: Math.min(animationDuration, (end - start) / 2),
+      };
+    })
+    .sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  buildOverlays,
+};
@@ -0,0 +1,49 @@
+// Node entry point of the shared payload schema (supabase/functions/_shared/payloadSchema.mjs),
+// which is an ES module so the edge function can import the very same rules
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const SCHEMA_PATH = path.join(
+  __dirname,
+  "../supabase/functions/_shared/payloadSchema.mjs"
+);
+
+let schemaPromise = null;
+
+/**
+ * Loads the shared schema module (once)
+ * @returns {Promise<Object>} Module exports
+ */
+function loadSchema() {
+  if (!schemaPromise) {
+    schemaPromise = import(pathToFileURL(SCHEMA_PATH).href);
+  }
+  return schemaPromise;
+}
+
+/**
+ * Validates a video generation payload and throws when it is invalid
+ * @param {Object} payload generated_videos row (dialect "row") or POST /render-video body ("api")
+ * @param {string} [dialect="row"] row or api
+ * @returns {Promise<number>} Schema version of the payload
+ * @throws {Error} With `code` ("invalid_payload") and `errors` (field-level errors with
+ *   path, code and message) when the payload is invalid
+ */
+async function assertValidPayload(payload, dialect = "row") {
+  const { validatePayload, formatPayloadErrors, PAYLOAD_ERROR_CODE } = await loadSchema();
+
+  const { valid, version, errors } = validatePayload(payload, { dialect });
+  if (!valid) {
+    const error = new Error(formatPayloadErrors(errors));
+    error.code = PAYLOAD_ERROR_CODE;
+    error.errors = errors;
+    throw error;
+  }
+  return version;
+}
+
+module.exports = {
+  loadSchema,
+  assertValidPayload,
+};
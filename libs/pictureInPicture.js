@@ -0,0 +1,62 @@
+// Picture-in-picture layout: one video fills the frame and the other plays in
+// a bubble that can move between keyframes
+
+const DEFAULT_PIP = {
+  main: "demo", // Video filling the frame; the other one goes in the bubble
+  corner: "bottom-right",
+  size: 35, // Bubble width in % of the frame width
+  shape: "rounded",
+  margin: 4, // Distance from the frame edges in % of the frame width
+  borderWidth: 6, // px
+  borderColor: "#FFFFFF",
+  shadow: true,
+};
+
+/**
+ * Applies the defaults of the picture-in-picture options (the payload schema checks
+ * their ranges and that keyframe times are unique)
+ * @param {Object} [options] Options
+ * @param {string} [options.main="demo"] Video filling the frame (demo or template)
+ * @param {string} [options.corner="bottom-right"] Corner of the bubble (see CORNERS in constants.js)
+ * @param {number} [options.size=35] Bubble width in % of the frame width (10-60)
+ * @param {string} [options.shape="rounded"] Bubble mask: rounded, circle or square
+ * @param {number} [options.margin=4] Distance from the frame edges in % of the frame width
+ * @param {number} [options.borderWidth=6] Border width in px (0 = none)
+ * @param {string} [options.borderColor="#FFFFFF"] Border color
+ * @param {boolean} [options.shadow=true] Drop shadow under the bubble
+ * @param {Object[]} [options.keyframes] Bubble positions over time: [{ time, corner }] or
+ *   [{ time, x, y }] (bubble center in %), animated in between
+ * @param {Object} [settings] Settings
+ * @param {boolean} [settings.fromRow=false] Whether fields use the snake_case row format
+ * @returns {Object} Picture-in-picture settings
+ */
+function buildPictureInPicture(options, { fromRow = false } = {}) {
+  if (!options) return buildPictureInPicture({}, { fromRow });
+
+  const field = (name) =>
+    fromRow ? name.replace(/[A-Z]/g, (char) => `_${char.toLowerCase()}`) : name;
+  const value = (name) => options[field(name)] ?? DEFAULT_PIP[name];
+
+  // A keyframe places the bubble at a corner, or its center at { x, y }
+  const keyframes = (options.keyframes ?? [])
+    .map(({ time, corner, x, y }) =>
+      corner !== undefined && corner !== null ? { time, corner } : { time, x, y }
+    )
+    .sort((a, b) => a.time - b.time);
+
+  return {
+    main: value("main"),
+    corner: value("corner"),
+    size: value("size"),
+    shape: value("shape"),
+    margin: value("margin"),
+    borderWidth: value("borderWidth"),
+    borderColor: value("borderColor"),
+    shadow: value("shadow") !== false,
+    keyframes,
+  };
+}
+
+module.exports = {
+  buildPictureInPicture,
+};
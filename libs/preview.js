@@ -0,0 +1,225 @@
+// Poster still and animated preview (GIF or WebP) extracted from the rendered video with ffmpeg
+
+const path = require("path");
+const util = require("util");
+const { execFile } = require("child_process");
+const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
+const { getFfmpegError } = require("./utils");
+const PAYLOAD_VALUES = require("../supabase/functions/_shared/payloadValues.json");
+
+const execFilePromise = util.promisify(execFile);
+
+const PREVIEW_FORMATS = PAYLOAD_VALUES.previewFormats;
+
+// Frames per second sampled when looking for the best poster frame. Longer videos are sampled
+// more sparsely so the thumbnail filter never holds more than POSTER_MAX_SAMPLES frames,
+// downscaled to POSTER_SAMPLE_WIDTH px wide
+const POSTER_SAMPLE_FPS = 2;
+const POSTER_MAX_SAMPLES = 100;
+const POSTER_SAMPLE_WIDTH = 360;
+
+// Limit of each ffmpeg run (the poster search decodes the whole video)
+const PREVIEW_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Applies the defaults of the poster and animated preview settings of a job (ranges and
+ * formats are checked by the payload schema)
+ * @param {Object} [options] Preview options
+ * @param {boolean} [options.poster=true] Extract a poster still
+ * @param {number|string} [options.posterTime="auto"] Poster time in seconds, or "auto" for the
+ *   most representative frame
+ * @param {boolean} [options.animated=true] Render an animated preview
+ * @param {string} [options.format="gif"] Animated preview format: gif or webp
+ * @param {number} [options.start=0] Where the animated preview starts, in seconds
+ * @param {number} [options.duration=3] Animated preview length in seconds (1-10)
+ * @param {number} [options.width=320] Animated preview width in px (120-1080)
+ * @param {number} [options.fps=12] Animated preview frame rate (5-30)
+ * @returns {Object} Preview options
+ */
+function buildPreviewOptions(options) {
+  if (!options) return buildPreviewOptions({});
+
+  return {
+    poster: options.poster !== false,
+    posterTime: options.posterTime ?? "auto",
+    animated: options.animated !== false,
+    format: options.format || "gif",
+    start: options.start ?? 0,
+    duration: options.duration ?? 3,
+    width: Math.round((options.width ?? 320) / 2) * 2,
+    fps: options.fps ?? 12,
+  };
+}
+
+/**
+ * Maps `remotion.preview` of the generated_videos row to buildPreviewOptions options
+ * @param {Object} [raw] { poster, poster_time, animated, format, start, duration, width, fps }
+ * @returns {Object} camelCase preview options
+ */
+function previewFromRow(raw) {
+  if (!raw) return {};
+
+  return {
+    poster: raw.poster,
+    posterTime: raw.poster_time,
+    animated: raw.animated,
+    format: raw.format,
+    start: raw.start,
+    duration: raw.duration,
+    width: raw.width,
+    fps: raw.fps,
+  };
+}
+
+/**
+ * Finds the most representative frame of a video with ffmpeg's thumbnail filter, which picks
+ * the frame closest to the average look (skipping black and transition frames).
+ * Runs on small sampled frames; the poster itself is then extracted at full size.
+ * @param {string} videoPath Rendered video
+ * @param {number} videoDuration Length of the video in seconds
+ * @returns {Promise<number>} Time of the chosen frame in seconds
+ */
+async function findPosterTime(videoPath, videoDuration) {
+  const sampleFps = Math.min(POSTER_SAMPLE_FPS, POSTER_MAX_SAMPLES / Math.max(videoDuration, 1));
+  const sampledFrames = Math.max(
+    1,
+    Math.min(POSTER_MAX_SAMPLES, Math.ceil(videoDuration * sampleFps))
+  );
+
+  const { stderr } = await execFilePromise(
+    ffmpegPath,
+    [
+      "-hide_banner",
+      "-nostats",
+      "-i",
+      videoPath,
+      "-vf",
+      `fps=${sampleFps},scale=${POSTER_SAMPLE_WIDTH}:-2:flags=area,thumbnail=${sampledFrames},showinfo`,
+      "-frames:v",
+      "1",
+      "-f",
+      "null",
+      "-",
+    ],
+    { maxBuffer: 10 * 1024 * 1024, timeout: PREVIEW_TIMEOUT_MS }
+  );
+
+  const match = /pts_time:\s*([\d.]+)/.exec(stderr);
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * Extracts the poster still of a video as a JPEG
+ * @param {string} videoPath Rendered video
+ * @param {string} outputPath JPEG to write
+ * @param {number|string} time Poster time in seconds, or "auto" for the most representative
+ *   frame (see findPosterTime)
+ * @param {number} videoDuration Length of the video in seconds
+ */
+async function extractPoster(videoPath, outputPath, time, videoDuration) {
+  const posterTime = time === "auto" ? await findPosterTime(videoPath, videoDuration) : time;
+
+  // A poster time past the end falls back to the last frames
+  const seekTime = Math.max(0, Math.min(posterTime, videoDuration - 0.1));
+
+  await execFilePromise(
+    ffmpegPath,
+    [
+      "-hide_banner",
+      "-y",
+      "-ss",
+      String(seekTime),
+      "-i",
+      videoPath,
+      "-frames:v",
+      "1",
+      "-q:v",
+      "2",
+      outputPath,
+    ],
+    { timeout: PREVIEW_TIMEOUT_MS }
+  );
+}
+
+/**
+ * Renders a short looping animated preview of a video
+ * @param {string} videoPath Rendered video
+ * @param {string} outputPath GIF or WebP to write
+ * @param {Object} options Preview options built by buildPreviewOptions
+ * @param {number} videoDuration Length of the video in seconds
+ */
+async function renderAnimatedPreview(videoPath, outputPath, options, videoDuration) {
+  const { format, width, fps } = options;
+  const start = Math.max(0, Math.min(options.start, videoDuration - options.duration));
+  const scale = `fps=${fps},scale=${width}:-2:flags=lanczos`;
+
+  // GIFs get a palette generated from the clip itself to avoid banding
+  const encodeArgs =
+    format === "gif"
+      ? ["-filter_complex", `[0:v]${scale},split[a][b];[a]palettegen[p];[b][p]paletteuse`]
+      : ["-vf", scale, "-c:v", "libwebp", "-q:v", "70", "-preset", "picture"];
+
+  await execFilePromise(
+    ffmpegPath,
+    [
+      "-hide_banner",
+      "-y",
+      "-ss",
+      String(start),
+      "-t",
+      String(options.duration),
+      "-i",
+      videoPath,
+      ...encodeArgs,
+      "-an",
+      "-loop",
+      "0",
+      outputPath,
+    ],
+    { timeout: PREVIEW_TIMEOUT_MS }
+  );
+}
+
+/**
+ * Generates the poster still and animated preview next to the rendered video.
+ * A failure is logged and skipped so it never fails the render itself.
+ * @param {string} videoPath Rendered video
+ * @param {Object} options Preview options built by buildPreviewOptions
+ * @param {number} videoDuration Length of the video in seconds
+ * @returns {Promise<{poster: string|null, animated: string|null}>} Paths of the generated files
+ */
+async function generatePreviews(videoPath, options, videoDuration) {
+  const { dir, name } = path.parse(videoPath);
+  const files = { poster: null, animated: null };
+
+  if (options.poster) {
+    const posterPath = path.join(dir, `${name}-poster.jpg`);
+    try {
+      await extractPoster(videoPath, posterPath, options.posterTime, videoDuration);
+      files.poster = posterPath;
+    } catch (err) {
+      console.warn(`Could not extract the poster of ${videoPath}: ${getFfmpegError(err, PREVIEW_TIMEOUT_MS)}`);
+    }
+  }
+
+  if (options.animated) {
+    const animatedPath = path.join(dir, `${name}-preview.${options.format}`);
+    try {
+      await renderAnimatedPreview(videoPath, animatedPath, options, videoDuration);
+      files.animated = animatedPath;
+    } catch (err) {
+      console.warn(
+        `Could not render the animated preview of ${videoPath}: ${getFfmpegError(err, PREVIEW_TIMEOUT_MS)}`
+      );
+    }
+  }
+
+  return files;
+}
+
+module.exports = {
+  PREVIEW_FORMATS,
+  buildPreviewOptions,
+  previewFromRow,
+  generatePreviews,
+};
@@ -0,0 +1,117 @@
+// Pipeline phases in the order they run, with their share of the overall progress
+const PHASE_WEIGHTS = {
+  downloading: 5,
+  transcoding: 25,
+  bundling: 5,
+  rendering: 55,
+  uploading: 10,
+};
+
+const PHASES = Object.keys(PHASE_WEIGHTS);
+const TOTAL_WEIGHT = PHASES.reduce((sum, phase) => sum + PHASE_WEIGHTS[phase], 0);
+
+/**
+ * Creates a per-job progress reporter.
+ * Progress is reported per phase (0-1) and folded into an overall percentage with an ETA.
+ * Updates are throttled: onUpdate runs at most once per throttleMs, except on
+ * phase changes and flush(), and never with two writes in flight at once.
+ * @param {Object} options Reporter options
+ * @param {Function} options.onUpdate (snapshot) => void|Promise, persists a snapshot
+ * @param {number} [options.throttleMs=2000] Minimum delay between two writes
+ * @returns {Object} Reporter API (update, flush, snapshot)
+ */
+function createProgressReporter({ onUpdate, throttleMs = 2000 }) {
+  const startedAt = Date.now();
+  let phase = null;
+  let phaseProgress = 0;
+  let lastWriteAt = 0;
+  let writing = null;
+  let writeQueued = false;
+
+  function snapshot() {
+    const phaseIndex = phase ? PHASES.indexOf(phase) : -1;
+    const completedWeight = PHASES.slice(0, Math.max(phaseIndex, 0)).reduce(
+      (sum, name) => sum + PHASE_WEIGHTS[name],
+      0
+    );
+    const overall = phase
+      ? (completedWeight + PHASE_WEIGHTS[phase] * phaseProgress) / TOTAL_WEIGHT
+      : 0;
+
+    // Estimate from the average pace so far; too noisy before the first few percent
+    const elapsedSeconds = (Date.now() - startedAt) / 1000;
+    const etaSeconds =
+      overall >= 0.02 && overall < 1
+        ? Math.round((elapsedSeconds * (1 - overall)) / overall)
+        : null;
+
+    return {
+      phase,
+      phase_percent: Math.round(phaseProgress * 100),
+      percent: Math.round(overall * 100),
+      eta_seconds: overall >= 1 ? 0 : etaSeconds,
+      updated_at: new Date().toISOString(),
+    };
+  }
+
+  function write() {
+    if (writing) {
+      writeQueued = true;
+      return writing;
+    }
+
+    lastWriteAt = Date.now();
+    writing = Promise.resolve()
+      .then(() => onUpdate(snapshot()))
+      .catch((err) => {
+        console.warn("Failed to report progress:", err.message || err);
+      })
+      .then(() => {
+        writing = null;
+        if (writeQueued) {
+          writeQueued = false;
+          return write();
+        }
+      });
+
+    return writing;
+  }
+
+  /**
+   * Reports progress within a phase
+   * @param {string} nextPhase One of downloading, transcoding, bundling, rendering, uploading
+   * @param {number} [fraction=0] Progress within the phase (0-1)
+   */
+  function update(nextPhase, fraction = 0) {
+    if (!PHASE_WEIGHTS[nextPhase]) {
+      throw new Error(`Unknown progress phase: ${nextPhase}`);
+    }
+
+    const phaseChanged = nextPhase !== phase;
+    phase = nextPhase;
+    phaseProgress = Math.min(1, Math.max(0, Number(fraction) || 0));
+
+    if (phaseChanged || Date.now() - lastWriteAt >= throttleMs) {
+      write();
+    }
+  }
+
+  /**
+   * Writes the latest state immediately
+   * @returns {Promise<void>} Resolves once it has been persisted
+   */
+  function flush() {
+    return write();
+  }
+
+  return {
+    update,
+    flush,
+    snapshot,
+  };
+}
+
+module.exports = {
+  PHASES,
+  createProgressReporter,
+};
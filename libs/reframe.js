@@ -0,0 +1,338 @@
+// Smart reframing: instead of a fixed center crop, a source whose aspect ratio differs from
+// its pane (landscape footage in a vertical frame) pans to follow the action. The crop path
+// is computed offline from a small grayscale copy decoded by ffmpeg: motion (frame
+// differences) and detail (edges, e.g. product UI) pick where the crop goes, ffmpeg's scene
+// score finds the cuts, and the path is smoothed and speed-limited within each shot.
+
+const util = require("util");
+const { execFile } = require("child_process");
+const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
+const { probeSource } = require("./transcode");
+const { getFfmpegError } = require("./utils");
+
+const execFilePromise = util.promisify(execFile);
+
+const DEFAULT_REFRAME_OPTIONS = {
+  smoothing: 1, // seconds averaged around each sample
+  maxSpeed: 0.5, // fastest pan, in pane widths (or heights) per second
+  sceneThreshold: 0.3, // ffmpeg scene score above which a frame starts a new shot
+};
+
+// Analysis frames: samples per second and size of their long side in px
+const ANALYSIS_FPS = 5;
+const ANALYSIS_SIZE = 160;
+
+// Analysis still running after this is stopped (the source then falls back to a center crop)
+const ANALYSIS_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Share of motion vs. detail in the energy the crop follows (detail alone on static shots)
+const MOTION_WEIGHT = 0.7;
+
+// The crop only moves when the new position holds clearly more energy (avoids jitter)
+const HYSTERESIS = 1.1;
+
+/**
+ * Applies the defaults of the smart reframing settings of a source (their ranges are
+ * checked by the payload schema)
+ * @param {boolean|Object} [options] true for the defaults, or:
+ * @param {number} [options.smoothing=1] Seconds averaged around each point of the path (0-5)
+ * @param {number} [options.maxSpeed=0.5] Fastest pan in pane widths (or heights) per second (0.05-5)
+ * @param {number} [options.sceneThreshold=0.3] ffmpeg scene score starting a new shot (0.05-1);
+ *   the crop jumps on cuts instead of panning across them
+ * @returns {Object|null} Reframe options, or null when disabled
+ */
+function buildReframeOptions(options) {
+  if (!options) return null;
+  const settings = options === true ? {} : options;
+
+  return {
+    smoothing: settings.smoothing ?? DEFAULT_REFRAME_OPTIONS.smoothing,
+    maxSpeed: settings.maxSpeed ?? DEFAULT_REFRAME_OPTIONS.maxSpeed,
+    sceneThreshold: settings.sceneThreshold ?? DEFAULT_REFRAME_OPTIONS.sceneThreshold,
+  };
+}
+
+/**
+ * Maps `remotion.template_reframe` / `remotion.demo_reframe` of the generated_videos row:
+ * true or { smoothing, max_speed, scene_threshold }
+ * @param {boolean|Object} [raw] Reframe field of the row
+ * @returns {boolean|Object} camelCase buildReframeOptions options
+ */
+function reframeFromRow(raw) {
+  if (!raw || raw === true) return raw;
+
+  return {
+    smoothing: raw.smoothing,
+    maxSpeed: raw.max_speed,
+    sceneThreshold: raw.scene_threshold,
+  };
+}
+
+/**
+ * Size of the pane each source fills in a layout (the whole frame unless split)
+ * @param {Object} layout Layout of the job
+ * @param {Object} layout.videoConfig Output size ({ width, height })
+ * @param {boolean} layout.splitScreen Split screen layout
+ * @param {string} layout.splitPosition Split screen position
+ * @param {Object} layout.splitLayout Split layout built by buildSplitLayout (libs/splitLayout.js)
+ * @returns {{template: Object, demo: Object}} { width, height } of each pane
+ */
+function getReframeTargets({ videoConfig, splitScreen, splitPosition, splitLayout }) {
+  const { width, height } = videoConfig;
+  if (!splitScreen) {
+    return { template: { width, height }, demo: { width, height } };
+  }
+
+  const isVertical = splitPosition === "top-bottom" || splitPosition === "bottom-top";
+  const free = (isVertical ? height : width) - splitLayout.dividerWidth;
+  const pane = (share) =>
+    isVertical
+      ? { width, height: (free * share) / 100 }
+      : { width: (free * share) / 100, height };
+
+  return { template: pane(splitLayout.ratio), demo: pane(100 - splitLayout.ratio) };
+}
+
+/**
+ * Decodes a source into small grayscale frames and lists its scene cuts, in one ffmpeg pass
+ * @param {string} videoUrl URL or path of the source
+ * @param {{width: number, height: number}} size Analysis frame size
+ * @param {number} sceneThreshold Scene score starting a new shot
+ * @param {number} maxDuration Seconds analyzed from the start (the composition's length)
+ * @returns {Promise<{frames: Buffer[], cuts: number[]}>} Frames at ANALYSIS_FPS and cut times in seconds
+ */
+async function analyzeSource(videoUrl, size, sceneThreshold, maxDuration) {
+  // Room for every frame of maxDuration (plus one second), so the output stays bounded
+  const maxBuffer = size.width * size.height * ANALYSIS_FPS * (Math.ceil(maxDuration) + 1);
+  const { stdout, stderr } = await execFilePromise(
+    ffmpegPath,
+    [
+      "-hide_banner",
+      "-t", String(maxDuration),
+      "-i", videoUrl,
+      "-filter_complex",
+      `[0:v]scale=${size.width}:${size.height},format=gray,split[a][b];` +
+        `[a]fps=${ANALYSIS_FPS}[frames];` +
+        `[b]select='gt(scene,${sceneThreshold})',showinfo,nullsink`,
+      "-map", "[frames]",
+      "-f", "rawvideo",
+      "-pix_fmt", "gray",
+      "pipe:1",
+    ],
+    { encoding: "buffer", maxBuffer, timeout: ANALYSIS_TIMEOUT_MS }
+  );
+
+  const frameSize = size.width * size.height;
+  const frames = [];
+  for (let offset = 0; offset + frameSize <= stdout.length; offset += frameSize) {
+    frames.push(stdout.subarray(offset, offset + frameSize));
+  }
+
+  const cuts = [...stderr.toString().matchAll(/pts_time:([\d.]+)/g)].map((match) =>
+    Number(match[1])
+  );
+  return { frames, cuts };
+}
+
+/**
+ * Energy of each column (or row) of a frame: motion since the previous frame and detail
+ * (edges), each normalized so neither dominates because of the footage
+ * @param {Buffer} frame Grayscale frame
+ * @param {Buffer|null} previous Previous frame of the same shot
+ * @param {{width: number, height: number}} size Frame size
+ * @param {string} axis "x" to score columns, "y" to score rows
+ * @returns {Float64Array} Energy per column (or row)
+ */
+function getLineEnergy(frame, previous, { width, height }, axis) {
+  const lines = axis === "x" ? width : height;
+  const motion = new Float64Array(lines);
+  const detail = new Float64Array(lines);
+
+  for (let y = 0; y < height - 1; y++) {
+    for (let x = 0; x < width - 1; x++) {
+      const index = y * width + x;
+      const line = axis === "x" ? x : y;
+      const value = frame[index];
+      detail[line] +=
+        Math.abs(frame[index + 1] - value) + Math.abs(frame[index + width] - value);
+      if (previous) motion[line] += Math.abs(value - previous[index]);
+    }
+  }
+
+  const motionTotal = motion.reduce((sum, value) => sum + value, 0);
+  const detailTotal = detail.reduce((sum, value) => sum + value, 0);
+  const motionWeight = motionTotal > 0 ? MOTION_WEIGHT : 0;
+
+  const energy = new Float64Array(lines);
+  for (let line = 0; line < lines; line++) {
+    energy[line] =
+      (motionTotal > 0 ? (motion[line] / motionTotal) * motionWeight : 0) +
+      (detailTotal > 0 ? (detail[line] / detailTotal) * (1 - motionWeight) : 0);
+  }
+  return energy;
+}
+
+/**
+ * Start of the crop window holding the most energy, or the current one when no other
+ * window is clearly better
+ * @param {Float64Array} energy Energy per line
+ * @param {number} windowSize Crop window size in lines
+ * @param {number|null} current Current window start (null at the start of a shot)
+ * @returns {number} Window start in lines
+ */
+function pickWindow(energy, windowSize, current) {
+  const prefix = new Float64Array(energy.length + 1);
+  energy.forEach((value, index) => {
+    prefix[index + 1] = prefix[index] + value;
+  });
+  const score = (start) => prefix[start + windowSize] - prefix[start];
+
+  const maxStart = energy.length - windowSize;
+  let best = Math.round(maxStart / 2); // Centered on ties
+  for (let start = 0; start <= maxStart; start++) {
+    if (score(start) > score(best)) best = start;
+  }
+
+  if (current !== null && score(best) <= score(current) * HYSTERESIS) return current;
+  return best;
+}
+
+/**
+ * Smooths a shot's path (moving average) and limits its speed
+ * @param {number[]} positions Crop positions (0-100) of the shot's samples
+ * @param {Object} options Reframe options
+ * @param {number} maxStep Largest change between two samples (0-100)
+ * @returns {number[]} Smoothed positions
+ */
+function smoothShot(positions, options, maxStep) {
+  const radius = Math.round((options.smoothing * ANALYSIS_FPS) / 2);
+  const averaged = positions.map((_, index) => {
+    const from = Math.max(0, index - radius);
+    const to = Math.min(positions.length - 1, index + radius);
+    let sum = 0;
+    for (let i = from; i <= to; i++) sum += positions[i];
+    return sum / (to - from + 1);
+  });
+
+  for (let index = 1; index < averaged.length; index++) {
+    const step = averaged[index] - averaged[index - 1];
+    if (Math.abs(step) > maxStep) {
+      averaged[index] = averaged[index - 1] + Math.sign(step) * maxStep;
+    }
+  }
+  return averaged;
+}
+
+/**
+ * Computes the crop path of a source for the pane it fills. The path gives the CSS
+ * object-position of the cropped axis over time (0 = left/top edge, 100 = right/bottom).
+ * Failures are logged and return null, so the source falls back to a center crop.
+ * @param {string} videoUrl URL or path of the (transcoded) source
+ * @param {Object} options Reframe options built by buildReframeOptions
+ * @param {{width: number, height: number}} target Pane size (see getReframeTargets)
+ * @param {number} maxDuration Length of the composition in seconds (nothing after it is analyzed)
+ * @returns {Promise<Object|null>} { axis: "x"|"y", keyframes: [{ time, position }] }, or null
+ *   when the source already has the pane's aspect ratio
+ */
+async function computeCropPath(videoUrl, options, target, maxDuration) {
+  try {
+    const metadata = await probeSource(videoUrl);
+    const video = metadata.streams.find((stream) => stream.codec_type === "video");
+    const sourceAspect = video.width / video.height;
+    const targetAspect = target.width / target.height;
+    if (Math.abs(sourceAspect - targetAspect) < 0.01) return null;
+
+    // Wider sources pan horizontally, taller ones vertically
+    const axis = sourceAspect > targetAspect ? "x" : "y";
+    const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+    const size =
+      sourceAspect >= 1
+        ? { width: ANALYSIS_SIZE, height: even(ANALYSIS_SIZE / sourceAspect) }
+        : { width: even(ANALYSIS_SIZE * sourceAspect), height: ANALYSIS_SIZE };
+    const lines = axis === "x" ? size.width : size.height;
+    const windowSize = Math.min(
+      lines,
+      Math.max(1, Math.round(axis === "x" ? size.height * targetAspect : size.width / targetAspect))
+    );
+    const range = lines - windowSize;
+    if (range <= 0) return null;
+
+    const { frames, cuts } = await analyzeSource(
+      videoUrl,
+      size,
+      options.sceneThreshold,
+      maxDuration
+    );
+    if (frames.length === 0) throw new Error("no frames decoded");
+
+    // Shot of each sample, from the cut times
+    const shotOf = (time) => cuts.filter((cut) => cut <= time + 1e-3).length;
+
+    // Best window of each sample, in object-position %
+    const samples = [];
+    let current = null;
+    frames.forEach((frame, index) => {
+      const time = index / ANALYSIS_FPS;
+      const shot = shotOf(time);
+      const sameShot = index > 0 && samples[index - 1].shot === shot;
+      if (!sameShot) current = null;
+
+      const energy = getLineEnergy(frame, sameShot ? frames[index - 1] : null, size, axis);
+      current = pickWindow(energy, windowSize, current);
+      samples.push({ time, shot, position: (current / range) * 100 });
+    });
+
+    // Smooth each shot on its own so the crop jumps on cuts
+    const maxStep = ((options.maxSpeed * windowSize) / range / ANALYSIS_FPS) * 100;
+    const keyframes = [];
+    let shotStart = 0;
+    for (let index = 1; index <= samples.length; index++) {
+      if (index < samples.length && samples[index].shot === samples[shotStart].shot) continue;
+
+      const shotSamples = samples.slice(shotStart, index);
+      const smoothed = smoothShot(
+        shotSamples.map((sample) => sample.position),
+        options,
+        maxStep
+      );
+
+      // Hold the previous shot's position until the cut itself
+      const cut = cuts.find((time) => shotOf(time) === shotSamples[0].shot);
+      const previous = keyframes[keyframes.length - 1];
+      if (previous && cut !== undefined && cut - 1e-3 > previous.time && cut <= shotSamples[0].time) {
+        keyframes.push({ time: cut - 1e-3, position: previous.position });
+        if (cut < shotSamples[0].time) keyframes.push({ time: cut, position: smoothed[0] });
+      }
+
+      shotSamples.forEach((sample, i) => {
+        keyframes.push({
+          time: Number(sample.time.toFixed(3)),
+          position: Number(smoothed[i].toFixed(2)),
+        });
+      });
+      shotStart = index;
+    }
+
+    // interpolate() needs at least two points
+    if (keyframes.length === 1) {
+      keyframes.push({ time: keyframes[0].time + 1, position: keyframes[0].position });
+    }
+
+    console.log(
+      `Reframe path for ${videoUrl}: ${keyframes.length} keyframes over ${frames.length / ANALYSIS_FPS}s, ${cuts.length} cut(s), panning on ${axis}`
+    );
+    return { axis, keyframes };
+  } catch (err) {
+    console.warn(
+      `Could not compute the reframe path of ${videoUrl}, using a center crop: ${getFfmpegError(err, ANALYSIS_TIMEOUT_MS)}`
+    );
+    return null;
+  }
+}
+
+module.exports = {
+  buildReframeOptions,
+  reframeFromRow,
+  getReframeTargets,
+  computeCropPath,
+};
@@ -0,0 +1,72 @@
+// Split screen layout: split ratio, divider and per-pane focal points
+
+const DEFAULT_SPLIT_LAYOUT = {
+  ratio: 50, // % of the frame given to the template pane
+  dividerWidth: 0, // px, 0 = no divider
+  dividerColor: "#000000",
+};
+
+/**
+ * Parses a split ratio: the template's share in % (60) or "template/demo" ("60/40")
+ * @param {number|string} ratio Ratio
+ * @returns {number} Template share in %
+ */
+function parseRatio(ratio) {
+  if (ratio === undefined || ratio === null) return DEFAULT_SPLIT_LAYOUT.ratio;
+
+  if (typeof ratio === "string" && ratio.includes("/")) {
+    const [first, second] = ratio.split("/").map(Number);
+    return (first / (first + second)) * 100;
+  }
+  return Number(ratio);
+}
+
+/**
+ * Focal point used to crop a pane ({ x, y } in % of the video), centered by default
+ * @param {Object} [focus] Focal point
+ * @returns {{x: number, y: number}} Focal point
+ */
+function resolveFocus(focus) {
+  const { x, y } = focus ?? {};
+  return { x: x ?? 50, y: y ?? 50 };
+}
+
+/**
+ * Builds the split screen layout settings (ranges are checked by the payload schema)
+ * @param {Object} [options] Options
+ * @param {number|string} [options.ratio=50] Template share in % (20-80) or "60/40"
+ * @param {number} [options.dividerWidth=0] Gap / divider line between the panes in px
+ * @param {string} [options.dividerColor="#000000"] Color of the divider
+ * @param {Object} [options.templateFocus] Point of the template kept in view when cropping ({ x, y } in %)
+ * @param {Object} [options.demoFocus] Point of the demo kept in view when cropping ({ x, y } in %)
+ * @returns {Object} Split layout ({ ratio, dividerWidth, dividerColor, templateFocus, demoFocus })
+ */
+function buildSplitLayout(options = {}) {
+  return {
+    ratio: parseRatio(options.ratio),
+    dividerWidth: options.dividerWidth ?? DEFAULT_SPLIT_LAYOUT.dividerWidth,
+    dividerColor: options.dividerColor ?? DEFAULT_SPLIT_LAYOUT.dividerColor,
+    templateFocus: resolveFocus(options.templateFocus),
+    demoFocus: resolveFocus(options.demoFocus),
+  };
+}
+
+/**
+ * Maps the split screen columns of the generated_videos row (next to video_alignment)
+ * @param {Object} data generated_videos row
+ * @returns {Object} buildSplitLayout options
+ */
+function splitLayoutFromRow(data) {
+  return {
+    ratio: data.split_ratio,
+    dividerWidth: data.split_divider_width,
+    dividerColor: data.split_divider_color,
+    templateFocus: data.template_focus,
+    demoFocus: data.demo_focus,
+  };
+}
+
+module.exports = {
+  buildSplitLayout,
+  splitLayoutFromRow,
+};
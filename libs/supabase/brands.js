@@ -0,0 +1,46 @@
+// Reusable per-brand defaults (logo, position...) stored in the `brands` table
+const supabase = require("../../config/supabase.config");
+const {
+  brandingFromRow,
+  mergeBrandDefaults,
+  buildBranding,
+} = require("../branding");
+
+const BRANDS_TABLE = process.env.SUPABASE_BRANDS_TABLE || "brands";
+
+/**
+ * Reads the saved branding defaults of a brand
+ * @param {string} brandId ID of the row in the brands table
+ * @returns {Promise<Object>} snake_case branding settings ({ logo_url, position, size, ... })
+ */
+async function getBrandDefaults(brandId) {
+  const { data, error } = await supabase
+    .from(BRANDS_TABLE)
+    .select("branding")
+    .eq("id", brandId)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to load brand ${brandId}: ${error.message}`);
+  }
+
+  return (data && data.branding) || {};
+}
+
+/**
+ * Builds the logo overlay of a job, filling unset options from the brand's defaults
+ * when a brandId is given
+ * @param {Object} [options] camelCase branding options (see buildBranding in libs/branding.js)
+ * @returns {Promise<Object|null>} Branding, or null when there is no logo
+ */
+async function resolveBranding(options) {
+  if (!options || !options.brandId) return buildBranding(options);
+
+  const brandDefaults = brandingFromRow(await getBrandDefaults(options.brandId));
+  return buildBranding(mergeBrandDefaults(options, brandDefaults));
+}
+
+module.exports = {
+  getBrandDefaults,
+  resolveBranding,
+};
@@ -0,0 +1,78 @@
+// Status sink of the render pipeline (src/renderPipeline.js) for RunPod worker jobs:
+// status, progress, outputs and errors are written to the generated_videos row
+
+const supabase = require("../../config/supabase.config");
+
+/**
+ * Updates the generated_videos row of a job
+ * @param {string} id The ID of the generated_videos record
+ * @param {Object} fields Columns to update
+ * @param {string} action What the update is for, used in the error message
+ */
+async function updateRow(id, fields, action) {
+  const { error } = await supabase.from("generated_videos").update(fields).eq("id", id);
+
+  if (error) {
+    throw new Error(`Failed to ${action}: ${error.message}`);
+  }
+}
+
+/**
+ * Creates a status sink writing to a generated_videos row
+ * @param {string} id The ID of the generated_videos record
+ * @returns {Object} Status sink (see runRenderPipeline)
+ */
+function createRowStatusSink(id) {
+  return {
+    // A failed status update does not stop the render; the final update reports the outcome
+    onStart: () =>
+      updateRow(id, { status: "processing" }, "update status").catch((err) =>
+        console.warn(`[${id}] ${err.message}`)
+      ),
+
+    onProgress: (snapshot) => updateRow(id, { progress: snapshot }, "update progress"),
+
+    onComplete: (result) => {
+      // Drafts are written to draft_video so they never replace the final video and its previews
+      const videoFields =
+        result.quality === "draft"
+          ? { draft_video: result.videoUrl }
+          : {
+              remotion_video: result.videoUrl,
+              remotion_outputs: result.outputs,
+              poster_url: result.posterUrl,
+              preview_url: result.previewUrl,
+              remotion_hls: result.hlsUrl,
+            };
+
+      return updateRow(
+        id,
+        {
+          ...videoFields,
+          error: null,
+          status: "completed",
+          completed_at: new Date().toISOString(),
+        },
+        "update database"
+      );
+    },
+
+    onError: (error) =>
+      updateRow(
+        id,
+        {
+          error: {
+            message: error.message,
+            stack: error.stack,
+            timestamp: new Date().toISOString(),
+          },
+          status: "failed",
+        },
+        "update error in database"
+      ),
+  };
+}
+
+module.exports = {
+  createRowStatusSink,
+};
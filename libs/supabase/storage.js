@@ -1,12 +1,37 @@
 // CommonJS Version
 const fs = require("fs");
+const path = require("path");
 const supabase = require("../../config/supabase.config");
 
 const STORAGE_BUCKET =
   process.env.SUPABASE_STORAGE_BUCKET || "generated-videos";
 
+// Content type of an upload by file extension (videos are MP4 unless stated otherwise)
+const CONTENT_TYPES = {
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mov": "video/quicktime",
+  ".mp3": "audio/mpeg",
+  ".m4a": "audio/mp4",
+  ".wav": "audio/wav",
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+  ".jpg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+/**
+ * Gets the content type of a file from its extension
+ * @param {string} fileName File name
+ * @returns {string} MIME type
+ */
+function getContentType(fileName) {
+  return CONTENT_TYPES[path.extname(fileName).toLowerCase()] || "video/mp4";
+}
+
 // Function to upload video to Supabase storage
-async function uploadToSupabase(filePath, fileName) {
+async function uploadToSupabase(filePath, fileName, contentType = getContentType(fileName)) {
   try {
     // Read the file as a buffer
     const fileBuffer = fs.readFileSync(filePath);
@@ -15,7 +40,7 @@ async function uploadToSupabase(filePath, fileName) {
     const { error } = await supabase.storage
       .from(STORAGE_BUCKET)
       .upload(fileName, fileBuffer, {
-        contentType: "video/mp4",
+        contentType,
         upsert: true, // Overwrite if the file already exists
       });
 
@@ -35,6 +60,76 @@ async function uploadToSupabase(filePath, fileName) {
   }
 }
 
+/**
+ * Uploads the output files of a job (one per format) under their file names
+ * @param {Object[]} outputs Output files built by encodeOutputFormats ([{ format, path }])
+ * @param {string} [prefix=""] Storage prefix (e.g. "drafts/")
+ * @returns {Promise<Object>} Public URL of each format ({ mp4: url, webm: url, ... })
+ */
+async function uploadOutputs(outputs, prefix = "") {
+  const urls = {};
+  for (const output of outputs) {
+    urls[output.format] = await uploadToSupabase(
+      output.path,
+      `${prefix}${path.basename(output.path)}`
+    );
+    console.log(`Uploaded ${output.format} output:`, urls[output.format]);
+  }
+  return urls;
+}
+
+/**
+ * Uploads every file of a local folder (e.g. HLS playlists and segments) under a storage folder
+ * @param {string} localDir Local folder
+ * @param {string} remoteFolder Storage folder (e.g. "hls/<id>")
+ * @returns {Promise<Object>} Public URL of each file by file name
+ */
+async function uploadFolder(localDir, remoteFolder) {
+  const urls = {};
+  for (const fileName of fs.readdirSync(localDir)) {
+    urls[fileName] = await uploadToSupabase(
+      path.join(localDir, fileName),
+      `${remoteFolder}/${fileName}`
+    );
+  }
+  console.log(`Uploaded ${Object.keys(urls).length} file(s) to ${remoteFolder}/`);
+  return urls;
+}
+
+/**
+ * Uploads the poster and animated preview generated by generatePreviews (libs/preview.js)
+ * under their file names and deletes the local copies. A failed upload is logged and skipped.
+ * @param {{poster: string|null, animated: string|null}} files Local preview files
+ * @returns {Promise<{posterUrl: string|null, previewUrl: string|null}>} Public URLs
+ */
+async function uploadPreviews(files) {
+  const urls = { posterUrl: null, previewUrl: null };
+  const uploads = [
+    ["posterUrl", files.poster],
+    ["previewUrl", files.animated],
+  ];
+
+  for (const [key, filePath] of uploads) {
+    if (!filePath) continue;
+    try {
+      urls[key] = await uploadToSupabase(filePath, path.basename(filePath));
+    } catch (err) {
+      console.warn(`Failed to upload ${filePath}:`, err.message || err);
+    }
+    try {
+      fs.unlinkSync(filePath);
+    } catch (err) {
+      console.warn(`Failed to delete ${filePath}:`, err.message || err);
+    }
+  }
+
+  return urls;
+}
+
 module.exports = {
+  getContentType,
   uploadToSupabase,
+  uploadOutputs,
+  uploadFolder,
+  uploadPreviews,
 };
@@ -0,0 +1,335 @@
+// Prepares source videos for Remotion: H.264/AAC in MP4, sized for the output profile.
+// Sources are probed first, so compatible ones are used as is (or only remuxed), and
+// transcoded files are kept in a local cache (see libs/transcodeCache.js).
+
+const fs = require("fs");
+const path = require("path");
+const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
+const ffmpeg = require("fluent-ffmpeg");
+const { DEFAULT_VIDEO_CONFIG } = require("../src/constants");
+const { getQualitySettings } = require("./outputProfile");
+const {
+  isCacheEnabled,
+  isRemote,
+  hashFile,
+  getSourceVersion,
+  downloadSource,
+  buildCacheKey,
+  restoreFromCache,
+  addToCache,
+} = require("./transcodeCache");
+
+// Set ffmpeg path
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+// Bump when the transcode arguments change, so older cache entries are not reused
+const TRANSCODE_VERSION = 2;
+
+// Frame rates closer than this (in fps) count as equal
+const FPS_TOLERANCE = 0.01;
+
+/**
+ * Builds the scale filter for an output profile: the video is scaled to cover
+ * the output frame (so the composition's "cover" crop keeps full resolution),
+ * but never upscaled beyond its original size
+ * @param {Object} videoConfig Output size ({ width, height })
+ * @returns {string} FFmpeg video filter
+ */
+function getScaleFilter({ width, height }) {
+  const ratio = `${width}/${height}`;
+  return (
+    `scale='if(gt(a,${ratio}),-2,min(iw,${width}))':` +
+    `'if(gt(a,${ratio}),min(ih,${height}),-2)',setsar=1`
+  );
+}
+
+/**
+ * Reads the streams and container of a source with ffprobe
+ * @param {string} videoUrl URL or path of the source
+ * @returns {Promise<Object>} ffprobe metadata (fluent-ffmpeg)
+ */
+function probeSource(videoUrl) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(videoUrl, (err, metadata) => (err ? reject(err) : resolve(metadata)));
+  });
+}
+
+/**
+ * Parses an ffprobe frame rate ("30000/1001", "30/1")
+ * @param {string} rate ffprobe rate
+ * @returns {number|null} Frame rate in fps, or null when unknown ("0/0")
+ */
+function parseFrameRate(rate) {
+  const [numerator, denominator = 1] = String(rate || "").split("/").map(Number);
+  const fps = numerator / denominator;
+  return Number.isFinite(fps) && fps > 0 ? fps : null;
+}
+
+/**
+ * Decides how much work a source needs, from its ffprobe metadata:
+ * - "skip": already H.264 (yuv420p) with AAC or no audio, in MP4, at the output frame rate
+ *   (constant) and no larger than the scale filter would make it, so it is used as is
+ * - "remux": the video stream is fine but the container or audio is not, so the video is
+ *   copied and only the audio is re-encoded when needed
+ * - "transcode": full re-encode
+ * @param {Object} metadata ffprobe metadata
+ * @param {Object} settings Transcode settings
+ * @param {{width: number, height: number}} settings.targetSize Size the scale filter covers
+ * @param {number} settings.fps Output frame rate the transcode conforms to
+ * @returns {{mode: string, reason: string, copyAudio: boolean}} Plan
+ */
+function planTranscode(metadata, { targetSize: { width, height }, fps }) {
+  const video = metadata.streams.find((stream) => stream.codec_type === "video");
+  const audio = metadata.streams.find((stream) => stream.codec_type === "audio");
+  const transcode = (reason) => ({ mode: "transcode", reason, copyAudio: false });
+
+  if (!video) return transcode("no video stream");
+  if (video.codec_name !== "h264") return transcode(`video codec is ${video.codec_name}`);
+  if (video.pix_fmt !== "yuv420p") return transcode(`pixel format is ${video.pix_fmt}`);
+
+  const displayMatrix = (video.side_data_list || []).find((data) => data.rotation !== undefined);
+  const rotation = Number(
+    (video.tags && video.tags.rotate) || (displayMatrix && displayMatrix.rotation) || 0
+  );
+  if (rotation % 360 !== 0) return transcode(`video is rotated ${rotation}°`);
+  if (video.sample_aspect_ratio && !["1:1", "0:1", "N/A"].includes(video.sample_aspect_ratio)) {
+    return transcode(`sample aspect ratio is ${video.sample_aspect_ratio}`);
+  }
+
+  // Only a full transcode conforms the frame rate (-r), e.g. 60fps or variable-rate phone footage
+  const averageFps = parseFrameRate(video.avg_frame_rate);
+  const baseFps = parseFrameRate(video.r_frame_rate);
+  if (averageFps === null || baseFps === null) {
+    return transcode(`frame rate is unknown (${video.avg_frame_rate}), output is ${fps}fps`);
+  }
+  if (Math.abs(averageFps - baseFps) > FPS_TOLERANCE) {
+    return transcode(
+      `frame rate is variable (${averageFps.toFixed(2)}fps average, ${baseFps.toFixed(2)}fps base), output is ${fps}fps`
+    );
+  }
+  if (Math.abs(averageFps - fps) > FPS_TOLERANCE) {
+    return transcode(`frame rate is ${averageFps.toFixed(2)}fps, output is ${fps}fps`);
+  }
+
+  // Same test as the scale filter: the side that covers the frame must not exceed it
+  const coversWithHeight = video.width / video.height > width / height;
+  const fits = coversWithHeight ? video.height <= height : video.width <= width;
+  if (!fits) {
+    return transcode(`${video.width}x${video.height} is larger than ${width}x${height}`);
+  }
+
+  const copyAudio = !audio || audio.codec_name === "aac";
+  const formatName = metadata.format.format_name || "";
+  const brand = (metadata.format.tags && metadata.format.tags.major_brand) || "";
+  const isMp4 = formatName.split(",").includes("mp4") && brand.trim() !== "qt";
+
+  if (!copyAudio) {
+    return { mode: "remux", reason: `audio codec is ${audio.codec_name}`, copyAudio };
+  }
+  if (!isMp4) {
+    return { mode: "remux", reason: `container is ${formatName}`, copyAudio };
+  }
+  return {
+    mode: "skip",
+    reason: `already H.264/AAC MP4 at the right size and ${fps}fps`,
+    copyAudio,
+  };
+}
+
+/**
+ * FFmpeg output options of a plan
+ * @param {Object} plan Plan returned by planTranscode
+ * @param {Object} settings Transcode settings ({ targetSize, fps, preset, crf })
+ * @returns {string[]} Output options
+ */
+function getOutputOptions(plan, { targetSize, fps, preset, crf }) {
+  if (plan.mode === "remux") {
+    return [
+      "-map 0:v:0",
+      "-map 0:a:0?",
+      "-c:v copy", // Keep the H.264 stream as is
+      ...(plan.copyAudio ? ["-c:a copy"] : ["-c:a aac", "-b:a 128k"]),
+      "-movflags +faststart",
+      "-y",
+    ];
+  }
+
+  return [
+    "-c:v libx264", // Use H.264 codec
+    `-crf ${crf}`, // Standard quality (lower for drafts)
+    `-preset ${preset}`, // Balanced encoding speed (fastest for drafts)
+    "-c:a aac", // AAC audio codec
+    "-b:a 128k", // Standard audio bitrate
+    "-strict experimental",
+    "-movflags +faststart", // Enable fast start for web playback
+    "-pix_fmt yuv420p", // Ensure compatibility
+    "-profile:v baseline", // Use baseline profile for maximum compatibility
+    "-level 3.0", // Set compatibility level
+    "-maxrate 2M", // Conservative maximum bitrate
+    "-bufsize 4M", // Conservative buffer size
+    "-threads 0", // Use all available CPU threads
+    "-y", // Overwrite output file if exists
+    `-vf ${getScaleFilter(targetSize)}`, // Cover the output frame without upscaling
+    `-r ${fps}`, // Match the output frame rate
+    "-vsync 1", // Ensure frame rate consistency
+    "-async 1", // Ensure audio sync
+    "-max_muxing_queue_size 1024", // Increase muxing queue size
+  ];
+}
+
+/**
+ * Runs ffmpeg on a source
+ * @param {string} input URL or path of the source
+ * @param {string} outputFile File to write
+ * @param {string[]} outputOptions FFmpeg output options
+ * @param {string} id Identifier used in log lines
+ * @param {Function} [onProgress] Called with the progress (0-1)
+ * @returns {Promise<string>} outputFile
+ */
+function runFfmpeg(input, outputFile, outputOptions, id, onProgress) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(input).outputOptions(outputOptions).output(outputFile);
+
+    // Log FFmpeg command for debugging
+    console.log(`[${id}] FFmpeg command: ffmpeg ${command._getArguments().join(" ")}`);
+
+    command
+      .on("progress", (progress) => {
+        const percent = Math.round(progress.percent || 0);
+        if (onProgress) onProgress(Math.min(percent, 100) / 100);
+        if (percent % 25 === 0) { // Log every 25%
+          console.log(`[${id}] Transcoding progress: ${percent}%`);
+        }
+      })
+      .on("end", () => {
+        console.log(`[${id}] FFmpeg completed successfully for: ${outputFile}`);
+        resolve(outputFile);
+      })
+      .on("error", (err, stdout, stderr) => {
+        console.error(`[${id}] FFmpeg error for ${input}:`, err.message);
+        console.error(`[${id}] FFmpeg stderr:`, stderr);
+        reject(new Error(`FFmpeg failed for ${input}: ${err.message}`));
+      })
+      .run();
+  });
+}
+
+/**
+ * Ensures video is using a compatible codec (H.264) for Remotion.
+ * Compatible sources are returned as is; others are remuxed or transcoded into outputDir,
+ * reusing the transcode cache when the same source was prepared before.
+ * @param {string} videoUrl URL of the video to check/transcode
+ * @param {string} outputDir Directory to save transcoded file
+ * @param {string} id Unique identifier for the file
+ * @param {Object} [options] Transcode options
+ * @param {Object} [options.videoConfig] Output profile ({ width, height, fps, quality }) to transcode for
+ * @param {Function} [options.onProgress] Called with the transcoding progress (0-1)
+ * @returns {Promise<string>} videoUrl when it is already compatible, otherwise the path of
+ *   a local file in outputDir (the caller deletes it)
+ */
+async function ensureCompatibleCodec(
+  videoUrl,
+  outputDir,
+  id,
+  { videoConfig = DEFAULT_VIDEO_CONFIG, onProgress } = {}
+) {
+  if (!videoUrl) return null;
+
+  console.log(`[${id}] Starting processing for video URL: ${videoUrl}`);
+
+  // Drafts are rendered scaled down, so their sources are too (with a faster preset)
+  const { scale, transcodePreset, transcodeCrf } = getQualitySettings(videoConfig);
+  const settings = {
+    version: TRANSCODE_VERSION,
+    targetSize: {
+      width: Math.round((videoConfig.width * scale) / 2) * 2,
+      height: Math.round((videoConfig.height * scale) / 2) * 2,
+    },
+    fps: videoConfig.fps,
+    preset: transcodePreset,
+    crf: transcodeCrf,
+  };
+  const outputFile = path.join(outputDir, `temp-h264-${id}-${Date.now()}.mp4`);
+
+  // A download takes the first half of the progress, ffmpeg the rest
+  let reportFfmpeg = onProgress;
+
+  // Cache lookup: remote files without an ETag are downloaded once and hashed
+  let input = videoUrl;
+  let downloadedFile = null;
+  let cacheKey = null;
+  if (isCacheEnabled()) {
+    try {
+      let version = await getSourceVersion(videoUrl);
+      if (!version && isRemote(videoUrl)) {
+        const downloadPath = path.join(outputDir, `source-${id}-${Date.now()}`);
+        console.log(`[${id}] No ETag, downloading ${videoUrl} to hash it`);
+        await downloadSource(
+          videoUrl,
+          downloadPath,
+          onProgress && ((fraction) => onProgress(fraction / 2))
+        );
+        downloadedFile = downloadPath;
+        input = downloadedFile;
+        if (onProgress) reportFfmpeg = (fraction) => onProgress(0.5 + fraction / 2);
+        version = await hashFile(downloadedFile);
+      }
+      cacheKey = buildCacheKey(videoUrl, version, settings);
+
+      if (restoreFromCache(cacheKey, outputFile)) {
+        console.log(`[${id}] Transcode cache hit: ${outputFile}`);
+        if (downloadedFile) fs.rmSync(downloadedFile, { force: true });
+        if (onProgress) onProgress(1);
+        return outputFile;
+      }
+    } catch (err) {
+      console.warn(`[${id}] Transcode cache unavailable for ${videoUrl}: ${err.message}`);
+      cacheKey = null;
+    }
+  }
+
+  try {
+    // A failed probe is not fatal: the full transcode handles whatever ffmpeg can read
+    let plan;
+    try {
+      plan = planTranscode(await probeSource(input), settings);
+    } catch (err) {
+      plan = { mode: "transcode", reason: `probe failed (${err.message})`, copyAudio: false };
+    }
+    console.log(`[${id}] ${plan.mode}: ${plan.reason}`);
+
+    if (plan.mode === "skip") {
+      if (onProgress) onProgress(1);
+      if (isRemote(videoUrl) && !downloadedFile) return videoUrl;
+
+      // Local files are served to Remotion from outputDir (a downloaded copy is moved there)
+      if (downloadedFile) {
+        fs.renameSync(downloadedFile, outputFile);
+        downloadedFile = null;
+      } else {
+        fs.copyFileSync(input, outputFile);
+      }
+      return outputFile;
+    }
+
+    await runFfmpeg(input, outputFile, getOutputOptions(plan, settings), id, reportFfmpeg);
+
+    if (cacheKey) {
+      try {
+        addToCache(cacheKey, outputFile);
+      } catch (err) {
+        console.warn(`[${id}] Could not add ${outputFile} to the transcode cache: ${err.message}`);
+      }
+    }
+    return outputFile;
+  } finally {
+    if (downloadedFile) fs.rmSync(downloadedFile, { force: true });
+  }
+}
+
+module.exports = {
+  getScaleFilter,
+  probeSource,
+  planTranscode,
+  ensureCompatibleCodec,
+};
@@ -0,0 +1,225 @@
+// Local cache of transcoded sources, shared by every job on the machine. Entries are keyed by
+// the source URL, its version (ETag, or a hash of its content) and the transcode settings, so
+// a template reused across jobs is only encoded once. Least recently used entries are evicted
+// once the cache grows past its size limit.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+
+const CACHE_DIR =
+  process.env.TRANSCODE_CACHE_DIR || path.join(os.tmpdir(), "transcode-cache");
+
+// 0 disables the cache
+const CACHE_MAX_BYTES =
+  Number(process.env.TRANSCODE_CACHE_MAX_MB ?? 5120) * 1024 * 1024;
+
+const ENTRY_EXTENSION = ".mp4";
+const HEAD_TIMEOUT_MS = 10000;
+// A download still running after this is aborted (the transcode then reads the URL directly)
+const DOWNLOAD_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Whether transcoded sources are cached (TRANSCODE_CACHE_MAX_MB is not 0)
+ * @returns {boolean}
+ */
+function isCacheEnabled() {
+  return CACHE_MAX_BYTES > 0;
+}
+
+/**
+ * Whether a source is fetched over HTTP(S)
+ * @param {string} sourceUrl URL or local path
+ * @returns {boolean}
+ */
+function isRemote(sourceUrl) {
+  return /^https?:\/\//i.test(sourceUrl);
+}
+
+/**
+ * Hashes the content of a local file
+ * @param {string} filePath File
+ * @returns {Promise<string>} "sha256:<hex>"
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(filePath), hash);
+  return `sha256:${hash.digest("hex")}`;
+}
+
+/**
+ * Version of a source used in its cache key: the ETag of a remote file, or the content hash
+ * of a local one
+ * @param {string} sourceUrl URL or local path
+ * @returns {Promise<string|null>} Version, or null when a remote file has no ETag (it then
+ *   has to be downloaded and hashed, see downloadSource)
+ */
+async function getSourceVersion(sourceUrl) {
+  if (!isRemote(sourceUrl)) {
+    const filePath = sourceUrl.startsWith("file://") ? new URL(sourceUrl).pathname : sourceUrl;
+    return hashFile(filePath);
+  }
+
+  try {
+    const response = await fetch(sourceUrl, {
+      method: "HEAD",
+      signal: AbortSignal.timeout(HEAD_TIMEOUT_MS),
+    });
+    const etag = response.ok ? response.headers.get("etag") : null;
+    return etag ? `etag:${etag}` : null;
+  } catch (err) {
+    console.warn(`Could not read the ETag of ${sourceUrl}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Downloads a remote source to a local file
+ * @param {string} sourceUrl URL
+ * @param {string} destPath File to write (deleted when the download fails)
+ * @param {Function} [onProgress] Called with the download progress (0-1) when the size is known
+ */
+async function downloadSource(sourceUrl, destPath, onProgress) {
+  try {
+    const response = await fetch(sourceUrl, {
+      signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS),
+    });
+    if (!response.ok || !response.body) {
+      throw new Error(`Failed to download ${sourceUrl}: HTTP ${response.status}`);
+    }
+
+    const totalBytes = Number(response.headers.get("content-length")) || 0;
+    let receivedBytes = 0;
+    const body = Readable.fromWeb(response.body);
+    if (onProgress && totalBytes > 0) {
+      body.on("data", (chunk) => {
+        receivedBytes += chunk.length;
+        onProgress(Math.min(receivedBytes / totalBytes, 1));
+      });
+    }
+
+    await pipeline(body, fs.createWriteStream(destPath));
+  } catch (error) {
+    fs.rmSync(destPath, { force: true });
+    if (error.name === "TimeoutError") {
+      throw new Error(`Download of ${sourceUrl} timed out after ${DOWNLOAD_TIMEOUT_MS / 1000}s`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Cache key of a transcoded source
+ * @param {string} sourceUrl URL or local path of the source
+ * @param {string} version Version of the source (see getSourceVersion)
+ * @param {Object} settings Everything that changes the transcoded file (size, fps, preset...)
+ * @returns {string} Hex digest
+ */
+function buildCacheKey(sourceUrl, version, settings) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ sourceUrl, version, settings }))
+    .digest("hex");
+}
+
+/**
+ * Path of a cache entry
+ * @param {string} key Cache key
+ * @returns {string} Path
+ */
+function getEntryPath(key) {
+  return path.join(CACHE_DIR, `${key}${ENTRY_EXTENSION}`);
+}
+
+/**
+ * Links a file to another path, copying it when both are on different filesystems
+ * @param {string} fromPath Existing file
+ * @param {string} toPath New path
+ */
+function linkOrCopy(fromPath, toPath) {
+  try {
+    fs.linkSync(fromPath, toPath);
+  } catch (err) {
+    fs.copyFileSync(fromPath, toPath);
+  }
+}
+
+/**
+ * Looks up a cached transcode and, on a hit, links it into the job's folder
+ * (the job deletes its copy when done, the cache entry stays)
+ * @param {string} key Cache key
+ * @param {string} destPath Path to give the job
+ * @returns {boolean} Whether the entry was found
+ */
+function restoreFromCache(key, destPath) {
+  const entryPath = getEntryPath(key);
+  if (!fs.existsSync(entryPath)) return false;
+
+  linkOrCopy(entryPath, destPath);
+  // The modification time orders entries for eviction
+  const now = new Date();
+  fs.utimesSync(entryPath, now, now);
+  return true;
+}
+
+/**
+ * Adds a transcoded file to the cache, then evicts the least recently used entries
+ * @param {string} key Cache key
+ * @param {string} filePath Transcoded file (left in place)
+ */
+function addToCache(key, filePath) {
+  fs.mkdirSync(CACHE_DIR, { recursive: true });
+
+  // Written under a temporary name first so a concurrent job never sees a partial entry
+  const partialPath = `${getEntryPath(key)}.${process.pid}-${Date.now()}.partial`;
+  try {
+    linkOrCopy(filePath, partialPath);
+    fs.renameSync(partialPath, getEntryPath(key));
+  } catch (error) {
+    fs.rmSync(partialPath, { force: true });
+    throw error;
+  }
+
+  evictEntries(key);
+}
+
+/**
+ * Deletes the least recently used entries until the cache fits in CACHE_MAX_BYTES
+ * @param {string} [keepKey] Entry never evicted (the one just added)
+ */
+function evictEntries(keepKey) {
+  const entries = fs
+    .readdirSync(CACHE_DIR)
+    .filter((name) => name.endsWith(ENTRY_EXTENSION))
+    .map((name) => {
+      const entryPath = path.join(CACHE_DIR, name);
+      const stats = fs.statSync(entryPath);
+      return { name, path: entryPath, size: stats.size, usedAt: stats.mtimeMs };
+    })
+    .sort((a, b) => a.usedAt - b.usedAt);
+
+  let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  for (const entry of entries) {
+    if (totalSize <= CACHE_MAX_BYTES) break;
+    if (entry.name === `${keepKey}${ENTRY_EXTENSION}`) continue;
+
+    fs.rmSync(entry.path, { force: true });
+    totalSize -= entry.size;
+    console.log(`Evicted transcode cache entry ${entry.name} (${entry.size} bytes)`);
+  }
+}
+
+module.exports = {
+  CACHE_DIR,
+  isCacheEnabled,
+  isRemote,
+  hashFile,
+  getSourceVersion,
+  downloadSource,
+  buildCacheKey,
+  restoreFromCache,
+  addToCache,
+};
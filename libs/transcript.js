@@ -0,0 +1,295 @@
+// Parses timed transcripts (SRT, WebVTT, JSON word timings) into word timings
+// consumed by the Captions component: [{ text, start, end }] in seconds
+
+const { buildTextStyle } = require("../src/textStyles");
+const { TEXT_POSITIONS } = require("../src/constants");
+
+const TIMESTAMP_PATTERN = /(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/;
+const CUE_TIMING_PATTERN = new RegExp(
+  `(${TIMESTAMP_PATTERN.source})\\s*-->\\s*(${TIMESTAMP_PATTERN.source})`
+);
+const INLINE_TIMESTAMP_PATTERN = /<((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})>/g;
+
+/**
+ * Converts an SRT/WebVTT timestamp (hh:mm:ss,mmm or mm:ss.mmm) to seconds
+ * @param {string} value Timestamp
+ * @returns {number} Seconds
+ */
+function parseTimestamp(value) {
+  const match = TIMESTAMP_PATTERN.exec(value);
+  if (!match) {
+    throw new Error(`Invalid transcript timestamp: "${value}"`);
+  }
+
+  const [, hours = "0", minutes, seconds, millis] = match;
+  return (
+    Number(hours) * 3600 +
+    Number(minutes) * 60 +
+    Number(seconds) +
+    Number(millis.padEnd(3, "0")) / 1000
+  );
+}
+
+/**
+ * Spreads the words of a text over a time range, weighted by word length
+ * @param {string} text Cue text
+ * @param {number} start Start in seconds
+ * @param {number} end End in seconds
+ * @returns {Object[]} Word timings
+ */
+function distributeWords(text, start, end) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const totalWeight = words.reduce((sum, word) => sum + word.length + 1, 0);
+  const duration = Math.max(0, end - start);
+
+  let cursor = start;
+  return words.map((word) => {
+    const wordDuration = (duration * (word.length + 1)) / totalWeight;
+    const timing = { text: word, start: cursor, end: cursor + wordDuration };
+    cursor += wordDuration;
+    return timing;
+  });
+}
+
+/**
+ * Removes markup (<i>, <c.color>, {\an8}...) from cue text
+ * @param {string} text Cue text
+ * @returns {string} Plain text
+ */
+function stripCueMarkup(text) {
+  return text
+    .replace(/<[^>]*>/g, "")
+    .replace(/\{\\[^}]*\}/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Converts one cue into word timings. WebVTT inline timestamps
+ * (<00:00:01.500>) give exact word starts; otherwise the cue is split evenly.
+ * @param {string} text Raw cue text
+ * @param {number} start Cue start in seconds
+ * @param {number} end Cue end in seconds
+ * @returns {Object[]} Word timings
+ */
+function cueToWords(text, start, end) {
+  const segments = [];
+  let segmentStart = start;
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(INLINE_TIMESTAMP_PATTERN)) {
+    const timestamp = parseTimestamp(match[1]);
+    segments.push({
+      text: text.slice(lastIndex, match.index),
+      start: segmentStart,
+      end: timestamp,
+    });
+    segmentStart = timestamp;
+    lastIndex = match.index + match[0].length;
+  }
+  segments.push({ text: text.slice(lastIndex), start: segmentStart, end });
+
+  return segments.flatMap((segment) =>
+    distributeWords(stripCueMarkup(segment.text), segment.start, segment.end)
+  );
+}
+
+/**
+ * Parses SRT or WebVTT cues (both use "start --> end" timing lines)
+ * @param {string} source Transcript text
+ * @returns {Object[]} Word timings
+ */
+function parseCues(source) {
+  const blocks = source.replace(/\r\n?/g, "\n").split(/\n{2,}/);
+  const words = [];
+
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const timingIndex = lines.findIndex((line) => CUE_TIMING_PATTERN.test(line));
+    if (timingIndex === -1) continue; // WEBVTT header, NOTE, STYLE or cue number only
+
+    const [, startValue, , , , , endValue] = CUE_TIMING_PATTERN.exec(
+      lines[timingIndex]
+    );
+    const start = parseTimestamp(startValue);
+    const end = parseTimestamp(endValue);
+    if (end < start) {
+      throw new Error(
+        `Invalid transcript cue: end is before start in "${lines[timingIndex]}"`
+      );
+    }
+
+    const text = lines.slice(timingIndex + 1).join(" ");
+    words.push(...cueToWords(text, start, end));
+  }
+
+  return words;
+}
+
+/**
+ * Parses JSON word timings: an array of { text|word, start, end } (seconds),
+ * or an object with `words` or Whisper-style `segments[].words`
+ * @param {string|Object|Array} source JSON string or parsed value
+ * @returns {Object[]} Word timings
+ */
+function parseJsonWords(source) {
+  let value = source;
+  if (typeof source === "string") {
+    try {
+      value = JSON.parse(source);
+    } catch (err) {
+      throw new Error(`Invalid transcript JSON: ${err.message}`);
+    }
+  }
+
+  let entries = null;
+  if (Array.isArray(value)) {
+    entries = value;
+  } else if (value && Array.isArray(value.words)) {
+    entries = value.words;
+  } else if (value && Array.isArray(value.segments)) {
+    entries = value.segments.flatMap((segment) => segment.words || []);
+  }
+
+  if (!entries) {
+    throw new Error(
+      "Invalid transcript JSON: expected an array of words, { words: [...] } or { segments: [{ words: [...] }] }"
+    );
+  }
+
+  return entries.map((entry, index) => {
+    const text = String(entry.text ?? entry.word ?? "").trim();
+    const start = Number(entry.start);
+    const end = Number(entry.end);
+
+    if (!text || !Number.isFinite(start) || !Number.isFinite(end)) {
+      throw new Error(
+        `Invalid transcript word at index ${index}: expected { text, start, end } with times in seconds`
+      );
+    }
+    if (end < start) {
+      throw new Error(
+        `Invalid transcript word at index ${index}: end is before start`
+      );
+    }
+
+    return { text, start, end };
+  });
+}
+
+/**
+ * Detects the transcript format when none is given
+ * @param {string|Object|Array} source Transcript
+ * @returns {string} srt, vtt or json
+ */
+function detectFormat(source) {
+  if (typeof source !== "string") return "json";
+
+  const trimmed = source.trim();
+  if (trimmed.startsWith("WEBVTT")) return "vtt";
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) return "json";
+  return "srt";
+}
+
+/**
+ * Parses a transcript into word timings sorted by start time
+ * @param {string|Object|Array} source SRT/WebVTT text, JSON string or parsed JSON
+ * @param {string} [format] srt, vtt or json (auto-detected when omitted)
+ * @returns {Object[]} Word timings ([{ text, start, end }] in seconds)
+ */
+function parseTranscript(source, format) {
+  if (source === null || source === undefined || source === "") return [];
+
+  const resolvedFormat = (format || detectFormat(source)).toLowerCase();
+  let words;
+  switch (resolvedFormat) {
+    case "srt":
+    case "vtt":
+    case "webvtt":
+      if (typeof source !== "string") {
+        throw new Error(`Invalid transcript: ${resolvedFormat} must be a string`);
+      }
+      words = parseCues(source);
+      break;
+    case "json":
+      words = parseJsonWords(source);
+      break;
+    default:
+      throw new Error(
+        `Invalid transcript format "${format}". Must be one of: srt, vtt, json`
+      );
+  }
+
+  if (words.length === 0) {
+    throw new Error("Invalid transcript: no timed words found");
+  }
+
+  return words
+    .map((word) => ({
+      text: word.text,
+      start: Math.round(word.start * 1000) / 1000,
+      end: Math.round(word.end * 1000) / 1000,
+    }))
+    .sort((a, b) => a.start - b.start);
+}
+
+// Default caption positions, in order of preference: the first one the title is not at
+const DEFAULT_CAPTION_POSITIONS = ["bottom", "center", "top"];
+
+/**
+ * Default caption position for a title position, so captions never cover the title
+ * (unknown title positions render at the bottom, see getTextPositionStyle)
+ * @param {string} [titlePosition] Title position (top, center, bottom)
+ * @returns {string} Caption position
+ */
+function getDefaultCaptionPosition(titlePosition) {
+  const titleSlot = TEXT_POSITIONS.includes(titlePosition) ? titlePosition : "bottom";
+  return DEFAULT_CAPTION_POSITIONS.find((position) => position !== titleSlot);
+}
+
+/**
+ * Builds the `captions` input prop from a transcript and caption options (checked by the
+ * payload schema, except the transcript itself which is parsed here)
+ * @param {Object} options Caption options
+ * @param {string|Object|Array} options.transcript SRT/WebVTT text or JSON word timings
+ * @param {string} [options.format] srt, vtt or json (auto-detected when omitted)
+ * @param {number} [options.wordsPerLine=3] Words shown per line
+ * @param {number} [options.lines=1] Lines shown per page
+ * @param {string} [options.highlightColor] Color of the word being spoken (defaults to the style's)
+ * @param {string} [options.animation="pop"] Word animation (pop, none)
+ * @param {string} [options.position] Caption position (top, center, bottom); defaults to
+ *   bottom, or center when the title is at the bottom
+ * @param {string} [options.titlePosition] Title position, used for the default position
+ * @param {Object} [options.style] Text style preset and overrides (see buildTextStyle)
+ * @returns {Object|null} Captions props, or null when there is no transcript
+ */
+function buildCaptions({
+  transcript,
+  format,
+  wordsPerLine,
+  lines,
+  highlightColor,
+  animation,
+  position,
+  titlePosition,
+  style,
+}) {
+  if (transcript === null || transcript === undefined || transcript === "") {
+    return null;
+  }
+
+  return {
+    words: parseTranscript(transcript, format),
+    wordsPerLine: wordsPerLine ?? 3,
+    lines: lines ?? 1,
+    highlightColor: highlightColor ?? null,
+    animation: animation ?? "pop",
+    position: position ?? getDefaultCaptionPosition(titlePosition),
+    style: buildTextStyle(style),
+  };
+}
+
+module.exports = {
+  parseTranscript,
+  buildCaptions,
+};
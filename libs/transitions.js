@@ -0,0 +1,49 @@
+// Transition between the clips of the sequential layout
+
+const DEFAULT_TRANSITION_DURATION = 0.5; // seconds
+
+/**
+ * Applies the defaults of a transition (its type, direction and duration range are
+ * checked by the payload schema)
+ * @param {Object} [options] Transition options
+ * @param {string} [options.type="cut"] One of TRANSITION_TYPES (constants.js)
+ * @param {number} [options.duration=0.5] Overlap between the clips in seconds (0 for a cut)
+ * @param {string} [options.direction="left"] Direction of slide, wipe and whip-pan transitions
+ * @returns {Object} Transition ({ type, duration, direction })
+ */
+function buildTransition(options = {}) {
+  const type = options.type ?? "cut";
+  const direction = options.direction ?? "left";
+
+  return {
+    type,
+    duration: type === "cut" ? 0 : options.duration ?? DEFAULT_TRANSITION_DURATION,
+    direction,
+  };
+}
+
+/**
+ * Shortens a transition so it never takes more than half of either clip
+ * @param {Object} transition Transition built by buildTransition
+ * @param {number} firstDuration Duration of the outgoing clip in seconds
+ * @param {number} secondDuration Duration of the incoming clip in seconds
+ * @returns {Object} Transition with the overlap that will actually be used
+ */
+function fitTransition(transition, firstDuration, secondDuration) {
+  const duration = Math.min(
+    transition.duration,
+    firstDuration / 2,
+    secondDuration / 2
+  );
+  if (duration < transition.duration) {
+    console.warn(
+      `Transition shortened to ${duration}s to fit clips of ${firstDuration}s and ${secondDuration}s`
+    );
+  }
+  return { ...transition, duration };
+}
+
+module.exports = {
+  buildTransition,
+  fitTransition,
+};
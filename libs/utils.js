@@ -1,31 +1,91 @@
 /**
- * Gets the duration of a video file using ffprobe
- * @param {string} videoUrl URL of the video
- * @returns {Promise<number>} Duration in seconds or null if it cannot be determined
+ * Reads the duration of a media file (video or audio) using ffprobe
+ * @param {string} mediaUrl URL of the media file
+ * @param {Function} execPromise Promisified child_process.exec
+ * @returns {Promise<number>} Exact duration in seconds or null if it cannot be determined
  */
-async function getVideoDuration(videoUrl, execPromise) {
-  if (!videoUrl) return null;
+async function probeDuration(mediaUrl, execPromise) {
+  if (!mediaUrl) return null;
 
   try {
-    const ffprobeCommand = `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${videoUrl}"`;
+    const ffprobeCommand = `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${mediaUrl}"`;
     const { stdout } = await execPromise(ffprobeCommand);
 
     const duration = parseFloat(stdout.trim());
     if (isNaN(duration)) {
-      console.warn(`Could not parse video duration from: ${stdout}`);
+      console.warn(`Could not parse duration from: ${stdout}`);
       return null;
     }
 
-    const roundedDuration = Math.floor(duration);
-
-    console.log(
-      `Detected video duration: ${duration} > ${roundedDuration} secs for ${videoUrl}`
-    );
-    return roundedDuration;
+    return duration;
   } catch (err) {
-    console.warn(`Could not detect video duration: ${err.message}`);
+    console.warn(`Could not detect duration: ${err.message}`);
     return null;
   }
 }
 
+/**
+ * Gets the duration of a video file using ffprobe
+ * @param {string} videoUrl URL of the video
+ * @returns {Promise<number>} Duration in seconds or null if it cannot be determined
+ */
+async function getVideoDuration(videoUrl, execPromise) {
+  const duration = await probeDuration(videoUrl, execPromise);
+  if (duration === null) return null;
+
+  const roundedDuration = Math.floor(duration);
+
+  console.log(
+    `Detected video duration: ${duration} > ${roundedDuration} secs for ${videoUrl}`
+  );
+  return roundedDuration;
+}
+
+/**
+ * Gets the duration of an audio track using ffprobe (not rounded, so loops stay seamless)
+ * @param {string} audioUrl URL of the audio track
+ * @returns {Promise<number>} Duration in seconds or null if it cannot be determined
+ */
+async function getAudioDuration(audioUrl, execPromise) {
+  const duration = await probeDuration(audioUrl, execPromise);
+  if (duration === null) return null;
+
+  console.log(`Detected audio duration: ${duration} secs for ${audioUrl}`);
+  return duration;
+}
+
+/**
+ * Validates a number within a range
+ * @param {*} value Number
+ * @param {string} field Field name used in error messages (e.g. "branding.size")
+ * @param {number} min Minimum
+ * @param {number} max Maximum
+ * @param {number} [fallback] Default when unset (without one, an unset value is invalid)
+ * @returns {number} Number
+ */
+function validateRange(value, field, min, max, fallback) {
+  if ((value === undefined || value === null) && fallback !== undefined) return fallback;
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`Invalid ${field}: must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+/**
+ * Short reason of a failed ffmpeg/ffprobe run: the last line of its stderr, which holds the actual error
+ * @param {Error} err Error thrown by execFile
+ * @param {number} [timeoutMs] Timeout the command ran with, reported when it was killed
+ * @returns {string} Error line
+ */
+function getFfmpegError(err, timeoutMs) {
+  if (err.killed && timeoutMs) return `timed out after ${timeoutMs / 1000}s`;
+  return String(err.stderr || err.message).trim().split("\n").pop();
+}
+
 module.exports = getVideoDuration;
+module.exports.getAudioDuration = getAudioDuration;
+module.exports.probeDuration = probeDuration;
+module.exports.validateRange = validateRange;
+module.exports.getFfmpegError = getFfmpegError;
@@ -1,18 +1,113 @@
 import React from "react";
-import { Audio, useVideoConfig } from "remotion";
+import { Audio, interpolate, Sequence, useVideoConfig } from "remotion";
 
-// TODO: Use enableAudio or pass a param externalAudioOnly to make the volume 100%
-export const AudioTrack = ({ enableAudio, audioSource, offsetInSeconds }) => {
-  const { fps } = useVideoConfig();
+/**
+ * Music volume multiplier (0-1) while ducking under speech: ramps down
+ * `attack` seconds before each speech segment and back up over `release` seconds
+ * @param {number} time Time in seconds
+ * @param {Object} ducking Ducking settings ({ enabled, volume, attack, release, segments })
+ * @returns {number} Multiplier
+ */
+const getDuckingFactor = (time, ducking) => {
+  if (!ducking || !ducking.enabled || !ducking.segments) return 1;
 
-  // Convert offset to frames
-  const offsetInFrames = Math.round(offsetInSeconds * fps);
+  let factor = 1;
+  for (const { start, end } of ducking.segments) {
+    let amount = 0; // 0 = full volume, 1 = fully ducked
+    if (time >= start && time <= end) {
+      amount = 1;
+    } else if (time < start && time >= start - ducking.attack) {
+      amount = ducking.attack ? 1 - (start - time) / ducking.attack : 1;
+    } else if (time > end && time <= end + ducking.release) {
+      amount = ducking.release ? 1 - (time - end) / ducking.release : 0;
+    }
+    factor = Math.min(factor, 1 - amount * (1 - ducking.volume));
+  }
+
+  return factor;
+};
+
+/**
+ * Volume multiplier (0-1) for a fade-in at the start and a fade-out at the end
+ * @param {number} frame Current frame
+ * @param {number} totalFrames Length in frames
+ * @param {number} fadeInFrames Fade-in length in frames (0 = none)
+ * @param {number} fadeOutFrames Fade-out length in frames (0 = none)
+ * @returns {number} Multiplier
+ */
+const getFadeFactor = (frame, totalFrames, fadeInFrames, fadeOutFrames) => {
+  let factor = 1;
+  if (fadeInFrames > 0) {
+    factor *= interpolate(frame, [0, fadeInFrames], [0, 1], {
+      extrapolateRight: "clamp",
+    });
+  }
+  if (fadeOutFrames > 0) {
+    factor *= interpolate(
+      frame,
+      [totalFrames - fadeOutFrames, totalFrames],
+      [1, 0],
+      { extrapolateLeft: "clamp", extrapolateRight: "clamp" }
+    );
+  }
+  return factor;
+};
+
+/**
+ * Background music with fades, loops and ducking under the template voice
+ *
+ * @param {Object} props Component props
+ * @param {string} props.audioSource Path or URL to the music
+ * @param {number} props.offsetInSeconds Where to start in the music (when no music segments are planned)
+ * @param {Object} props.audioMix Audio mix built by buildAudioMix, with the music
+ *   segments planned by planMusicSegments (libs/audioMix.js)
+ */
+export const AudioTrack = ({ audioSource, offsetInSeconds, audioMix }) => {
+  const { fps, durationInFrames } = useVideoConfig();
+
+  const musicVolume = audioMix ? audioMix.musicVolume : 0.12;
+  const fadeInFrames = Math.round(((audioMix && audioMix.musicFadeIn) || 0) * fps);
+  const fadeOutFrames = Math.round(((audioMix && audioMix.musicFadeOut) || 0) * fps);
+
+  // Volume at a frame of the whole video (music fades and ducking)
+  const getVolume = (frame) =>
+    musicVolume *
+    getDuckingFactor(frame / fps, audioMix && audioMix.ducking) *
+    getFadeFactor(frame, durationInFrames, fadeInFrames, fadeOutFrames);
+
+  const segments = (audioMix && audioMix.musicSegments) || [
+    { from: 0, startFrom: offsetInSeconds, duration: null, fadeIn: 0, fadeOut: 0 },
+  ];
 
   return (
-    <Audio
-      src={audioSource}
-      startFrom={offsetInFrames} // Start audio from specified offset in frames
-      volume={0.12} // Volume for external audio - 12%
-    />
+    <>
+      {segments.map((segment, index) => {
+        const from = Math.round(segment.from * fps);
+        const segmentFrames =
+          segment.duration === null
+            ? durationInFrames - from
+            : Math.max(1, Math.round(segment.duration * fps));
+        const segmentFadeIn = Math.round(segment.fadeIn * fps);
+        const segmentFadeOut = Math.round(segment.fadeOut * fps);
+
+        return (
+          <Sequence
+            key={index}
+            from={from}
+            durationInFrames={segmentFrames}
+            layout="none"
+          >
+            <Audio
+              src={audioSource}
+              startFrom={Math.round(segment.startFrom * fps)} // Start of the trimmed section in frames
+              volume={(frame) =>
+                getVolume(from + frame) *
+                getFadeFactor(frame, segmentFrames, segmentFadeIn, segmentFadeOut)
+              }
+            />
+          </Sequence>
+        );
+      })}
+    </>
   );
 };
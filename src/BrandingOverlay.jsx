@@ -0,0 +1,56 @@
+import React from "react";
+import { Img, interpolate, useCurrentFrame, useVideoConfig } from "remotion";
+
+/**
+ * Position style of the logo: a corner (with margin) or its center { x, y } in %
+ * @param {string|Object} position Corner or { x, y }
+ * @param {number} margin Distance from the frame edges in px
+ * @returns {Object} Style object
+ */
+const getLogoPositionStyle = (position, margin) => {
+  if (typeof position === "object") {
+    return {
+      left: `${position.x}%`,
+      top: `${position.y}%`,
+      transform: "translate(-50%, -50%)",
+    };
+  }
+
+  const [vertical, horizontal] = position.split("-");
+  return { [vertical]: margin, [horizontal]: margin };
+};
+
+/**
+ * Brand logo shown on top of every layout
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.branding Branding built by buildBranding (libs/branding.js)
+ */
+export const BrandingOverlay = ({ branding }) => {
+  const frame = useCurrentFrame();
+  const { fps, width } = useVideoConfig();
+
+  if (!branding) return null;
+
+  const fadeInFrames = Math.round(branding.fadeIn * fps);
+  const fade =
+    fadeInFrames > 0
+      ? interpolate(frame, [0, fadeInFrames], [0, 1], {
+          extrapolateRight: "clamp",
+        })
+      : 1;
+
+  return (
+    <Img
+      src={branding.logoUrl}
+      style={{
+        position: "absolute",
+        width: (branding.size / 100) * width,
+        height: "auto",
+        opacity: branding.opacity * fade,
+        zIndex: 20,
+        ...getLogoPositionStyle(branding.position, (branding.margin / 100) * width),
+      }}
+    />
+  );
+};
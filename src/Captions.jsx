@@ -0,0 +1,186 @@
+import React, { useMemo } from "react";
+import { spring, useCurrentFrame, useVideoConfig } from "remotion";
+import { getTextPositionStyle } from "./TitleText";
+import { getBoxCss, getTextCss } from "./StyledText";
+import { resolveTextStyle } from "./textStyles";
+import { measureTextWidth } from "./fitText";
+
+// A pause this long between two words always starts a new page
+const PAGE_BREAK_GAP_SECONDS = 1;
+// How long a page stays on screen after its last word when nothing follows
+const PAGE_LINGER_SECONDS = 0.5;
+
+/**
+ * Groups word timings into pages of at most wordsPerPage words
+ * @param {Object[]} words Word timings ({ text, start, end } in seconds)
+ * @param {number} wordsPerPage Maximum number of words per page
+ * @returns {Object[]} Pages ({ words, start, end })
+ */
+const buildPages = (words, wordsPerPage) => {
+  const pages = [];
+  let current = null;
+
+  words.forEach((word, index) => {
+    const previous = words[index - 1];
+    const startsNewPage =
+      !current ||
+      current.words.length >= wordsPerPage ||
+      word.start - previous.end >= PAGE_BREAK_GAP_SECONDS;
+
+    if (startsNewPage) {
+      current = { words: [], start: word.start, end: word.end };
+      pages.push(current);
+    }
+    current.words.push(word);
+    current.end = Math.max(current.end, word.end);
+  });
+
+  return pages;
+};
+
+/**
+ * Word-by-word animated captions: pages through a timed transcript and
+ * highlights the word being spoken
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.captions Captions built by buildCaptions (libs/transcript.js)
+ * @param {Object[]} props.captions.words Word timings ({ text, start, end } in seconds)
+ * @param {number} props.captions.wordsPerLine Words per line
+ * @param {number} props.captions.lines Lines per page
+ * @param {string} [props.captions.highlightColor] Color of the active word (defaults to the style's)
+ * @param {string} props.captions.animation Word animation (pop, none)
+ * @param {string} props.captions.position Position on screen (top, center, bottom)
+ * @param {Object} props.captions.style Text style preset and overrides (see textStyles.js)
+ */
+export const Captions = ({ captions }) => {
+  const frame = useCurrentFrame();
+  const { fps, width } = useVideoConfig();
+
+  const words = (captions && captions.words) || [];
+  const wordsPerLine = (captions && captions.wordsPerLine) || 3;
+  const lines = (captions && captions.lines) || 1;
+
+  const pages = useMemo(
+    () => buildPages(words, wordsPerLine * lines),
+    [words, wordsPerLine, lines]
+  );
+
+  if (pages.length === 0) return null;
+
+  const time = frame / fps;
+
+  // Latest page that has started and is still on screen
+  const pageIndex = pages.findLastIndex((page) => page.start <= time);
+  if (pageIndex === -1) return null;
+
+  const page = pages[pageIndex];
+  const nextPage = pages[pageIndex + 1];
+  const pageHideTime = Math.min(
+    page.end + PAGE_LINGER_SECONDS,
+    nextPage ? nextPage.start : Infinity
+  );
+  if (time >= pageHideTime) return null;
+
+  const animate = captions.animation !== "none";
+  const activeIndex = page.words.findLastIndex((word) => word.start <= time);
+
+  const pageLines = [];
+  for (let i = 0; i < page.words.length; i += wordsPerLine) {
+    pageLines.push(page.words.slice(i, i + wordsPerLine));
+  }
+
+  const style = resolveTextStyle(captions.style);
+  const highlightColor = captions.highlightColor || style.highlightColor;
+  const isPill = style.highlight === "pill";
+
+  // Shrink the page so its widest line fits on one line (width scales with font size)
+  const font = `${style.fontWeight} ${style.fontSize}px ${style.fontFamily}`;
+  const wordGap = style.fontSize * 0.3;
+  const widestLine = Math.max(
+    ...pageLines.map((lineWords) =>
+      lineWords.reduce(
+        (sum, word) => sum + measureTextWidth(word.text, font) + wordGap,
+        0
+      )
+    )
+  );
+  const maxLineWidth =
+    (width * style.maxWidth) / 100 -
+    style.strokeWidth * 2 -
+    (style.backgroundColor ? style.fontSize : 0);
+  const fontSize =
+    widestLine > maxLineWidth
+      ? Math.floor((style.fontSize * maxLineWidth) / widestLine)
+      : style.fontSize;
+
+  // Spring from 0 to 1 starting at the given time in seconds
+  const popFrom = (seconds) =>
+    spring({
+      frame: frame - Math.round(seconds * fps),
+      fps,
+      config: { damping: 12, stiffness: 200 },
+      durationInFrames: Math.round(fps * 0.3),
+    });
+
+  const pageScale = animate ? 0.85 + 0.15 * popFrom(page.start) : 1;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: 0,
+        right: 0,
+        textAlign: "center",
+        zIndex: 30,
+        ...getTextPositionStyle(captions.position),
+      }}
+    >
+      <div style={{ transform: `scale(${pageScale})` }}>
+        {pageLines.map((lineWords, lineIndex) => (
+          <div key={lineIndex}>
+            <span style={{ ...getBoxCss(style), fontSize: `${fontSize}px` }}>
+              {lineWords.map((word, wordIndex) => {
+                const index = lineIndex * wordsPerLine + wordIndex;
+                const isActive = index === activeIndex;
+                const wordScale =
+                  animate && isActive ? 1 + 0.15 * popFrom(word.start) : 1;
+
+                // Pill: the active word sits on the highlight color; otherwise it is recolored
+                let wordStyle = getTextCss(style, fontSize);
+                if (isActive && isPill) {
+                  wordStyle = {
+                    ...getTextCss(
+                      { ...style, color: "#000000", strokeWidth: 0, gradient: null },
+                      fontSize
+                    ),
+                    ...getBoxCss(style, highlightColor),
+                    padding: "0 0.2em",
+                  };
+                } else if (isActive) {
+                  wordStyle = getTextCss(
+                    { ...style, color: highlightColor, gradient: null },
+                    fontSize
+                  );
+                }
+
+                return (
+                  <span
+                    key={wordIndex}
+                    style={{
+                      ...wordStyle,
+                      display: "inline-block",
+                      margin: `0 ${wordGap / 2}px`,
+                      transform: `scale(${wordScale})`,
+                    }}
+                  >
+                    {word.text}
+                  </span>
+                );
+              })}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
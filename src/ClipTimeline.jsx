@@ -0,0 +1,174 @@
+import React from "react";
+import {
+  AbsoluteFill,
+  Easing,
+  interpolate,
+  Video as RemotionVideo,
+  useCurrentFrame,
+  useVideoConfig,
+  Sequence,
+} from "remotion";
+import { TitleText } from "./TitleText";
+import { getTransitionStyles } from "./transitionStyles";
+
+/**
+ * Video of a clip filling the frame according to its layout (see CLIP_LAYOUTS in constants.js)
+ */
+const ClipVideo = ({ clip, volume }) => {
+  const { fps } = useVideoConfig();
+
+  const videoProps = {
+    src: clip.src,
+    startFrom: Math.round(clip.trimIn * fps), // Trim in, in frames
+    playbackRate: clip.speed,
+  };
+
+  if (clip.layout === "blur") {
+    return (
+      <>
+        <RemotionVideo
+          {...videoProps}
+          muted
+          style={{
+            position: "absolute",
+            width: "100%",
+            height: "100%",
+            objectFit: "cover",
+            filter: "blur(40px)",
+            transform: "scale(1.1)", // Hide the blurred edges
+          }}
+        />
+        <RemotionVideo
+          {...videoProps}
+          volume={volume}
+          style={{
+            position: "absolute",
+            width: "100%",
+            height: "100%",
+            objectFit: "contain",
+          }}
+        />
+      </>
+    );
+  }
+
+  return (
+    <RemotionVideo
+      {...videoProps}
+      volume={volume}
+      style={{
+        width: "100%",
+        height: "100%",
+        objectFit: clip.layout === "contain" ? "contain" : "cover",
+      }}
+    />
+  );
+};
+
+/**
+ * One clip, rendered inside a Sequence (frame 0 = clip start): applies the
+ * transition into it and the transition out of it into the next clip
+ */
+const TimelineClip = ({ clip, nextTransition, durationInFrames, volume, children }) => {
+  const frame = useCurrentFrame();
+  const { fps } = useVideoConfig();
+
+  const inFrames = Math.round(clip.transition.duration * fps);
+  const outFrames = nextTransition ? Math.round(nextTransition.duration * fps) : 0;
+  const outStart = durationInFrames - outFrames;
+
+  const easing = {
+    extrapolateLeft: "clamp",
+    extrapolateRight: "clamp",
+    easing: Easing.inOut(Easing.cubic),
+  };
+
+  let style = {};
+  if (inFrames > 0 && frame < inFrames) {
+    style = getTransitionStyles(
+      clip.transition,
+      interpolate(frame, [0, inFrames], [0, 1], easing)
+    ).incoming;
+  } else if (outFrames > 0 && frame >= outStart) {
+    style = getTransitionStyles(
+      nextTransition,
+      interpolate(frame, [outStart, durationInFrames], [0, 1], easing)
+    ).outgoing;
+  }
+
+  // The audio of overlapping clips crossfades during transitions
+  const getVolume = (videoFrame) => {
+    let factor = 1;
+    if (inFrames > 0) {
+      factor *= interpolate(videoFrame, [0, inFrames], [0, 1], {
+        extrapolateRight: "clamp",
+      });
+    }
+    if (outFrames > 0) {
+      factor *= interpolate(videoFrame, [outStart, durationInFrames], [1, 0], {
+        extrapolateLeft: "clamp",
+        extrapolateRight: "clamp",
+      });
+    }
+    return volume * factor;
+  };
+
+  return (
+    <AbsoluteFill style={style}>
+      <ClipVideo clip={clip} volume={getVolume} />
+      {children}
+    </AbsoluteFill>
+  );
+};
+
+/**
+ * Any number of clips played in order on one timeline, each with its own trim,
+ * speed, layout and transition
+ *
+ * @param {Object} props Component props
+ * @param {Object[]} props.clips Clips planned by planTimeline (libs/clips.js): { src, trimIn, speed,
+ *   layout, transition, start, duration } with times in seconds
+ * @param {string} props.titleText Title text to display (only shown during the first clip)
+ * @param {string} props.textPosition Position of the title text (top, center, bottom)
+ * @param {Object} props.titleStyle Title text style preset and overrides
+ * @param {number} [props.volume=1] Volume of the clips
+ */
+export const ClipTimeline = ({
+  clips,
+  titleText,
+  textPosition,
+  titleStyle,
+  volume = 1,
+}) => {
+  const { fps } = useVideoConfig();
+
+  return (
+    <AbsoluteFill style={{ backgroundColor: "black", overflow: "hidden" }}>
+      {clips.map((clip, index) => {
+        const from = Math.round(clip.start * fps);
+        const durationInFrames = Math.max(1, Math.round(clip.duration * fps));
+        const nextClip = clips[index + 1];
+
+        return (
+          <Sequence key={index} from={from} durationInFrames={durationInFrames}>
+            <TimelineClip
+              clip={clip}
+              nextTransition={nextClip ? nextClip.transition : null}
+              durationInFrames={durationInFrames}
+              volume={volume}
+            >
+              {/* Title text - only shown during the first clip */}
+              {index === 0 && (
+                <TitleText
+                  titleText={titleText}
+                  textPosition={textPosition}
+                  textStyle={titleStyle}
+                />
+              )}
+            </TimelineClip>
+          </Sequence>
+        );
+      })}
+    </AbsoluteFill>
+  );
+};
@@ -0,0 +1,252 @@
+import React from "react";
+import { AbsoluteFill } from "remotion";
+import { AudioTrack } from "./AudioTrack";
+import { MediaSource } from "./MediaSource";
+import { SplitScreenVideo } from "./SplitScreenVideo";
+import { SequentialVideo } from "./SequentialVideo";
+import { ClipTimeline } from "./ClipTimeline";
+import { PictureInPictureVideo } from "./PictureInPictureVideo";
+import { TitleText } from "./TitleText";
+import { Captions } from "./Captions";
+import { TextOverlays } from "./TextOverlays";
+import { BrandingOverlay } from "./BrandingOverlay";
+import { EndCard } from "./EndCard";
+import { DraftWatermark } from "./DraftWatermark";
+
+/**
+ * Background audio shared by every layout, rendered only when a source is set
+ */
+const BackgroundAudio = ({ audioSource, audioOffsetInSeconds, audioMix }) => {
+  if (!audioSource) return null;
+
+  return (
+    <AudioTrack
+      audioSource={audioSource}
+      offsetInSeconds={audioOffsetInSeconds || 0}
+      audioMix={audioMix}
+    />
+  );
+};
+
+/**
+ * Single video with the title on top
+ *
+ * @param {Object} props Input props (see buildCompositionInput in compositionInput.js)
+ */
+export const SingleVideoComposition = (props) => {
+  const {
+    videoSource,
+    templateImage,
+    titleText,
+    textPosition,
+    titleStyle,
+    audioMix,
+  } = props;
+
+  return (
+    <AbsoluteFill style={{ backgroundColor: "black" }}>
+      <div style={{ position: "relative", width: "100%", height: "100%" }}>
+        {videoSource && (
+          <MediaSource
+            src={videoSource}
+            image={templateImage}
+            reframe={props.templateReframe}
+            style={{ width: "100%", height: "100%", objectFit: "cover" }}
+            volume={audioMix ? audioMix.templateVolume : 1}
+          />
+        )}
+        <TitleText
+          titleText={titleText}
+          textPosition={textPosition}
+          textStyle={titleStyle}
+        />
+      </div>
+
+      <BrandingOverlay branding={props.branding} />
+      <TextOverlays overlays={props.overlays} />
+      <Captions captions={props.captions} />
+
+      <EndCard endCard={props.endCard} />
+      <DraftWatermark videoConfig={props.videoConfig} />
+
+      <BackgroundAudio {...props} />
+    </AbsoluteFill>
+  );
+};
+
+/**
+ * Template and demo videos split on screen with the title on top of both
+ *
+ * @param {Object} props Input props (see buildCompositionInput in compositionInput.js)
+ */
+export const SplitScreenComposition = (props) => {
+  const {
+    videoSource,
+    demoVideoSource,
+    templateImage,
+    demoImage,
+    splitPosition,
+    splitLayout,
+    titleText,
+    textPosition,
+    titleStyle,
+    audioMix,
+  } = props;
+
+  return (
+    <AbsoluteFill style={{ backgroundColor: "black" }}>
+      <SplitScreenVideo
+        videoSource={videoSource}
+        demoVideoSource={demoVideoSource}
+        templateImage={templateImage}
+        demoImage={demoImage}
+        templateReframe={props.templateReframe}
+        demoReframe={props.demoReframe}
+        splitPosition={splitPosition}
+        splitLayout={splitLayout}
+        templateVolume={audioMix ? audioMix.templateVolume : 1}
+        demoVolume={audioMix && audioMix.demoVolume !== null ? audioMix.demoVolume : 0}
+      />
+      <TitleText
+        titleText={titleText}
+        textPosition={textPosition}
+        textStyle={titleStyle}
+      />
+
+      <BrandingOverlay branding={props.branding} />
+      <TextOverlays overlays={props.overlays} />
+      <Captions captions={props.captions} />
+
+      <EndCard endCard={props.endCard} />
+      <DraftWatermark videoConfig={props.videoConfig} />
+
+      <BackgroundAudio {...props} />
+    </AbsoluteFill>
+  );
+};
+
+/**
+ * Template video followed by the demo video
+ *
+ * @param {Object} props Input props (see buildCompositionInput in compositionInput.js)
+ */
+export const SequentialComposition = (props) => {
+  const {
+    videoSource,
+    demoVideoSource,
+    templateImage,
+    demoImage,
+    firstVideoDuration,
+    titleText,
+    textPosition,
+    titleStyle,
+    audioMix,
+    transition,
+  } = props;
+
+  return (
+    <AbsoluteFill style={{ backgroundColor: "black" }}>
+      <SequentialVideo
+        videoSource={videoSource}
+        demoVideoSource={demoVideoSource}
+        templateImage={templateImage}
+        demoImage={demoImage}
+        templateReframe={props.templateReframe}
+        demoReframe={props.demoReframe}
+        firstVideoDuration={firstVideoDuration}
+        titleText={titleText}
+        textPosition={textPosition}
+        titleStyle={titleStyle}
+        templateVolume={audioMix ? audioMix.templateVolume : 1}
+        demoVolume={audioMix && audioMix.demoVolume !== null ? audioMix.demoVolume : 1}
+        transition={transition}
+      />
+
+      <BrandingOverlay branding={props.branding} />
+      <TextOverlays overlays={props.overlays} />
+      <Captions captions={props.captions} />
+
+      <EndCard endCard={props.endCard} />
+      <DraftWatermark videoConfig={props.videoConfig} />
+
+      <BackgroundAudio {...props} />
+    </AbsoluteFill>
+  );
+};
+
+/**
+ * Any number of clips played one after the other
+ *
+ * @param {Object} props Input props (see buildCompositionInput in compositionInput.js)
+ */
+export const TimelineComposition = (props) => {
+  const { clips, titleText, textPosition, titleStyle, audioMix } = props;
+
+  return (
+    <AbsoluteFill style={{ backgroundColor: "black" }}>
+      <ClipTimeline
+        clips={clips}
+        titleText={titleText}
+        textPosition={textPosition}
+        titleStyle={titleStyle}
+        volume={audioMix ? audioMix.templateVolume : 1}
+      />
+
+      <BrandingOverlay branding={props.branding} />
+      <TextOverlays overlays={props.overlays} />
+      <Captions captions={props.captions} />
+
+      <EndCard endCard={props.endCard} />
+      <DraftWatermark videoConfig={props.videoConfig} />
+
+      <BackgroundAudio {...props} />
+    </AbsoluteFill>
+  );
+};
+
+/**
+ * One video filling the frame and the other in a corner bubble, with the title on top
+ *
+ * @param {Object} props Input props (see buildCompositionInput in compositionInput.js)
+ */
+export const PictureInPictureComposition = (props) => {
+  const {
+    videoSource,
+    demoVideoSource,
+    templateImage,
+    demoImage,
+    pip,
+    titleText,
+    textPosition,
+    titleStyle,
+    audioMix,
+  } = props;
+
+  return (
+    <AbsoluteFill style={{ backgroundColor: "black" }}>
+      <PictureInPictureVideo
+        videoSource={videoSource}
+        demoVideoSource={demoVideoSource}
+        templateImage={templateImage}
+        demoImage={demoImage}
+        pip={pip}
+        templateVolume={audioMix ? audioMix.templateVolume : 1}
+        demoVolume={audioMix && audioMix.demoVolume !== null ? audioMix.demoVolume : 0}
+      />
+      <TitleText
+        titleText={titleText}
+        textPosition={textPosition}
+        textStyle={titleStyle}
+      />
+
+      <BrandingOverlay branding={props.branding} />
+      <TextOverlays overlays={props.overlays} />
+      <Captions captions={props.captions} />
+
+      <EndCard endCard={props.endCard} />
+      <DraftWatermark videoConfig={props.videoConfig} />
+
+      <BackgroundAudio {...props} />
+    </AbsoluteFill>
+  );
+};
@@ -0,0 +1,37 @@
+import React from "react";
+import { AbsoluteFill } from "remotion";
+
+/**
+ * Diagonal "DRAFT" watermark burned into draft renders, on top of everything else
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.videoConfig Video config (see applyQuality in libs/outputProfile.js)
+ */
+export const DraftWatermark = ({ videoConfig }) => {
+  if (!videoConfig || videoConfig.quality !== "draft") return null;
+
+  return (
+    <AbsoluteFill
+      style={{
+        justifyContent: "center",
+        alignItems: "center",
+        zIndex: 100,
+        pointerEvents: "none",
+      }}
+    >
+      <div
+        style={{
+          transform: "rotate(-30deg)",
+          fontFamily: "Arial, sans-serif",
+          fontWeight: 900,
+          fontSize: Math.round(Math.min(videoConfig.width, videoConfig.height) / 4),
+          letterSpacing: "0.1em",
+          color: "rgba(255, 255, 255, 0.35)",
+          WebkitTextStroke: "4px rgba(0, 0, 0, 0.35)",
+        }}
+      >
+        DRAFT
+      </div>
+    </AbsoluteFill>
+  );
+};
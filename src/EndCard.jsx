@@ -0,0 +1,127 @@
+import React from "react";
+import {
+  AbsoluteFill,
+  Img,
+  interpolate,
+  Sequence,
+  spring,
+  useCurrentFrame,
+  useVideoConfig,
+} from "remotion";
+
+/**
+ * End card content, rendered inside a Sequence (frame 0 = end card start)
+ */
+const EndCardContent = ({ endCard }) => {
+  const frame = useCurrentFrame();
+  const { fps, width } = useVideoConfig();
+
+  // Elements pop in one after the other
+  const popIn = (delaySeconds) =>
+    spring({
+      frame: frame - Math.round(delaySeconds * fps),
+      fps,
+      config: { damping: 14, stiffness: 160 },
+    });
+  const fadeIn = interpolate(frame, [0, Math.round(0.3 * fps)], [0, 1], {
+    extrapolateRight: "clamp",
+  });
+
+  const appear = (delaySeconds) => {
+    const progress = popIn(delaySeconds);
+    return { opacity: progress, transform: `scale(${0.8 + 0.2 * progress})` };
+  };
+
+  return (
+    <AbsoluteFill
+      style={{
+        backgroundColor: endCard.backgroundColor,
+        opacity: fadeIn,
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: width * 0.05,
+        padding: width * 0.08,
+        fontFamily: "Inter, sans-serif",
+        textAlign: "center",
+        zIndex: 40,
+      }}
+    >
+      {endCard.productImage && (
+        <Img
+          src={endCard.productImage}
+          style={{
+            maxWidth: "80%",
+            maxHeight: "38%",
+            objectFit: "contain",
+            borderRadius: width * 0.03,
+            ...appear(0.1),
+          }}
+        />
+      )}
+
+      {endCard.headline && (
+        <div
+          style={{
+            color: endCard.textColor,
+            fontSize: width * 0.075,
+            fontWeight: 800,
+            lineHeight: 1.15,
+            ...appear(0.25),
+          }}
+        >
+          {endCard.headline}
+        </div>
+      )}
+
+      {endCard.ctaText && (
+        <div
+          style={{
+            backgroundColor: endCard.accentColor,
+            color: endCard.backgroundColor,
+            fontSize: width * 0.055,
+            fontWeight: 800,
+            padding: `${width * 0.025}px ${width * 0.07}px`,
+            borderRadius: width * 0.1,
+            ...appear(0.4),
+          }}
+        >
+          {endCard.ctaText}
+        </div>
+      )}
+
+      {endCard.qrCode && (
+        <Img
+          src={endCard.qrCode}
+          style={{
+            width: width * 0.28,
+            height: width * 0.28,
+            borderRadius: width * 0.02,
+            ...appear(0.55),
+          }}
+        />
+      )}
+    </AbsoluteFill>
+  );
+};
+
+/**
+ * End card (headline, CTA, product image, QR code) covering the last
+ * `endCard.duration` seconds of the video
+ *
+ * @param {Object} props Component props
+ * @param {Object} props.endCard End card built by buildEndCard (libs/endCard.js)
+ */
+export const EndCard = ({ endCard }) => {
+  const { fps, durationInFrames } = useVideoConfig();
+  if (!endCard) return null;
+
+  const endCardFrames = Math.min(durationInFrames, Math.round(endCard.duration * fps));
+
+  return (
+    <Sequence from={durationInFrames - endCardFrames} layout="none">
+      <EndCardContent endCard={endCard} />
+    </Sequence>
+  );
+};
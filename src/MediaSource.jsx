@@ -0,0 +1,118 @@
+import React from "react";
+import {
+  Img,
+  interpolate,
+  Video as RemotionVideo,
+  useCurrentFrame,
+  useVideoConfig,
+} from "remotion";
+
+/**
+ * Scale and translation (in % of the image) of a Ken Burns motion
+ * @param {string} motion Motion (see KEN_BURNS_MOTIONS in constants.js)
+ * @param {number} zoom Scale reached by the motion
+ * @param {number} progress 0 = start of the motion, 1 = end
+ * @returns {string} CSS transform
+ */
+const getKenBurnsTransform = (motion, zoom, progress) => {
+  // Largest shift that keeps the scaled image covering the frame
+  const shift = ((zoom - 1) / 2 / zoom) * 100;
+  const pan = interpolate(progress, [0, 1], [shift, -shift]);
+
+  switch (motion) {
+    case "zoom-in":
+      return `scale(${interpolate(progress, [0, 1], [1, zoom])})`;
+    case "zoom-out":
+      return `scale(${interpolate(progress, [0, 1], [zoom, 1])})`;
+    case "pan-left":
+      return `scale(${zoom}) translateX(${pan}%)`;
+    case "pan-right":
+      return `scale(${zoom}) translateX(${-pan}%)`;
+    case "pan-up":
+      return `scale(${zoom}) translateY(${pan}%)`;
+    case "pan-down":
+      return `scale(${zoom}) translateY(${-pan}%)`;
+    case "none":
+    default:
+      return "";
+  }
+};
+
+/**
+ * Still image with pan/zoom motion over its display duration
+ */
+const KenBurnsImage = ({ src, image, style }) => {
+  const frame = useCurrentFrame();
+  const { fps } = useVideoConfig();
+
+  const progress = interpolate(frame, [0, Math.max(1, image.duration * fps)], [0, 1], {
+    extrapolateLeft: "clamp",
+    extrapolateRight: "clamp",
+  });
+
+  return (
+    <div style={{ ...style, overflow: "hidden" }}>
+      <Img
+        src={src}
+        style={{
+          width: "100%",
+          height: "100%",
+          objectFit: style.objectFit || "cover",
+          objectPosition: style.objectPosition,
+          transform: getKenBurnsTransform(image.motion, image.zoom, progress),
+        }}
+      />
+    </div>
+  );
+};
+
+/**
+ * Video whose cover crop follows a precomputed crop path (smart reframing)
+ */
+const ReframedVideo = ({ src, reframe, style, volume, ...videoProps }) => {
+  const frame = useCurrentFrame();
+  const { fps } = useVideoConfig();
+
+  const position = interpolate(
+    frame / fps,
+    reframe.keyframes.map((keyframe) => keyframe.time),
+    reframe.keyframes.map((keyframe) => keyframe.position),
+    { extrapolateLeft: "clamp", extrapolateRight: "clamp" }
+  );
+  const objectPosition =
+    reframe.axis === "x" ? `${position}% 50%` : `50% ${position}%`;
+
+  return (
+    <RemotionVideo
+      src={src}
+      style={{ ...style, objectFit: "cover", objectPosition }}
+      volume={volume}
+      {...videoProps}
+    />
+  );
+};
+
+/**
+ * A video, or a still image with Ken Burns motion when `image` is set
+ *
+ * @param {Object} props Component props
+ * @param {string} props.src Path or URL to the media
+ * @param {Object} [props.image] Image options built by buildImageOptions (libs/mediaType.js); null for videos
+ * @param {Object} [props.reframe] Crop path computed by computeCropPath (libs/reframe.js); replaces
+ *   the style's object-position
+ * @param {Object} props.style Style of the media element
+ * @param {number|Function} [props.volume] Video volume
+ */
+export const MediaSource = ({ src, image, reframe, style, volume, ...videoProps }) => {
+  if (image) {
+    return <KenBurnsImage src={src} image={image} style={style} />;
+  }
+
+  if (reframe) {
+    return (
+      <ReframedVideo src={src} reframe={reframe} style={style} volume={volume} {...videoProps} />
+    );
+  }
+
+  return <RemotionVideo src={src} style={style} volume={volume} {...videoProps} />;
+};
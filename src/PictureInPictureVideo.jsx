@@ -0,0 +1,178 @@
+import React from "react";
+import {
+  AbsoluteFill,
+  Easing,
+  interpolate,
+  useCurrentFrame,
+  useVideoConfig,
+} from "remotion";
+import { MediaSource } from "./MediaSource";
+
+// Width / height of rounded and square bubbles (circles are 1:1)
+const BUBBLE_ASPECT_RATIO = 3 / 4;
+
+/**
+ * Center of the bubble in px for a keyframe position
+ * @param {Object} position { corner } or { x, y } in % of the frame
+ * @param {Object} frameSize Frame size ({ width, height })
+ * @param {Object} bubbleSize Bubble size ({ width, height })
+ * @param {number} margin Distance from the frame edges in px
+ * @returns {{x: number, y: number}} Bubble center in px
+ */
+const getBubbleCenter = (position, frameSize, bubbleSize, margin) => {
+  if (position.corner) {
+    const [vertical, horizontal] = position.corner.split("-");
+    return {
+      x:
+        horizontal === "left"
+          ? margin + bubbleSize.width / 2
+          : frameSize.width - margin - bubbleSize.width / 2,
+      y:
+        vertical === "top"
+          ? margin + bubbleSize.height / 2
+          : frameSize.height - margin - bubbleSize.height / 2,
+    };
+  }
+
+  return {
+    x: (position.x / 100) * frameSize.width,
+    y: (position.y / 100) * frameSize.height,
+  };
+};
+
+/**
+ * Rounds keyframe times to frames, keeping only the last keyframe of each frame:
+ * keyframes closer than a frame apart (valid in seconds, e.g. 0 and 0.01 at 30fps) would
+ * otherwise give interpolate a range that is not strictly increasing
+ * @param {Object[]} keyframes Keyframes sorted by time (in seconds)
+ * @param {number} fps Frame rate
+ * @returns {Object[]} Keyframes with a `frame`, one per frame
+ */
+const getFrameKeyframes = (keyframes, fps) => {
+  const frameKeyframes = [];
+  for (const keyframe of keyframes) {
+    const frame = Math.round(keyframe.time * fps);
+    const previous = frameKeyframes[frameKeyframes.length - 1];
+    if (previous && previous.frame === frame) {
+      frameKeyframes[frameKeyframes.length - 1] = { ...keyframe, frame };
+    } else {
+      frameKeyframes.push({ ...keyframe, frame });
+    }
+  }
+  return frameKeyframes;
+};
+
+/**
+ * One video filling the frame and the other in a corner bubble (reaction-style UGC).
+ * The bubble moves between keyframes when some are given.
+ *
+ * @param {Object} props Component props
+ * @param {string} props.videoSource Path or URL to the template (creator) video
+ * @param {string} props.demoVideoSource Path or URL to the demo video
+ * @param {Object} [props.templateImage] Image options when the template is a still image
+ * @param {Object} [props.demoImage] Image options when the demo is a still image
+ * @param {Object} props.pip Picture-in-picture settings built by buildPictureInPicture (libs/pictureInPicture.js)
+ * @param {number} [props.templateVolume=1] Volume of the template video
+ * @param {number} [props.demoVolume=0] Volume of the demo video (muted by default)
+ */
+export const PictureInPictureVideo = ({
+  videoSource,
+  demoVideoSource,
+  templateImage = null,
+  demoImage = null,
+  pip,
+  templateVolume = 1,
+  demoVolume = 0,
+}) => {
+  const frame = useCurrentFrame();
+  const { fps, width, height } = useVideoConfig();
+
+  const templateIsMain = pip.main === "template";
+  const main = templateIsMain
+    ? { src: videoSource, image: templateImage, volume: templateVolume }
+    : { src: demoVideoSource, image: demoImage, volume: demoVolume };
+  const bubble = templateIsMain
+    ? { src: demoVideoSource, image: demoImage, volume: demoVolume }
+    : { src: videoSource, image: templateImage, volume: templateVolume };
+
+  const bubbleWidth = (pip.size / 100) * width;
+  const bubbleSize = {
+    width: bubbleWidth,
+    height: pip.shape === "circle" ? bubbleWidth : bubbleWidth / BUBBLE_ASPECT_RATIO,
+  };
+  const margin = (pip.margin / 100) * width;
+
+  // Animate the bubble center between keyframes (the corner when there are none)
+  const keyframes = getFrameKeyframes(
+    pip.keyframes.length > 0 ? pip.keyframes : [{ time: 0, corner: pip.corner }],
+    fps
+  );
+  const centers = keyframes.map((keyframe) =>
+    getBubbleCenter(keyframe, { width, height }, bubbleSize, margin)
+  );
+  const keyframeFrames = keyframes.map((keyframe) => keyframe.frame);
+
+  let center = centers[0];
+  if (keyframes.length > 1) {
+    const animate = (axis) =>
+      interpolate(
+        frame,
+        keyframeFrames,
+        centers.map((point) => point[axis]),
+        {
+          extrapolateLeft: "clamp",
+          extrapolateRight: "clamp",
+          easing: Easing.inOut(Easing.cubic),
+        }
+      );
+    center = { x: animate("x"), y: animate("y") };
+  }
+
+  let borderRadius = 0;
+  if (pip.shape === "circle") {
+    borderRadius = "50%";
+  } else if (pip.shape === "rounded") {
+    borderRadius = bubbleWidth * 0.12;
+  }
+
+  return (
+    <AbsoluteFill style={{ backgroundColor: "black", overflow: "hidden" }}>
+      {main.src && (
+        <MediaSource
+          src={main.src}
+          image={main.image}
+          style={{ width: "100%", height: "100%", objectFit: "cover" }}
+          volume={main.volume}
+        />
+      )}
+
+      {bubble.src && (
+        <div
+          style={{
+            position: "absolute",
+            left: center.x - bubbleSize.width / 2,
+            top: center.y - bubbleSize.height / 2,
+            width: bubbleSize.width,
+            height: bubbleSize.height,
+            borderRadius,
+            overflow: "hidden",
+            boxSizing: "border-box",
+            border:
+              pip.borderWidth > 0
+                ? `${pip.borderWidth}px solid ${pip.borderColor}`
+                : "none",
+            boxShadow: pip.shadow ? "0 12px 40px rgba(0, 0, 0, 0.55)" : "none",
+            zIndex: 5,
+          }}
+        >
+          <MediaSource
+            src={bubble.src}
+            image={bubble.image}
+            style={{ width: "100%", height: "100%", objectFit: "cover" }}
+            volume={bubble.volume}
+          />
+        </div>
+      )}
+    </AbsoluteFill>
+  );
+};
@@ -0,0 +1,111 @@
+import React from "react";
+import { Composition } from "remotion";
+import {
+  SingleVideoComposition,
+  SplitScreenComposition,
+  SequentialComposition,
+  TimelineComposition,
+  PictureInPictureComposition,
+} from "./Compositions";
+import { COMPOSITION_IDS, DEFAULT_VIDEO_CONFIG } from "./constants";
+
+/**
+ * Derives the composition length, frame size and frame rate from the job's
+ * input props, so a single bundle can render any duration and output profile
+ */
+const calculateMetadata = ({ props }) => {
+  const videoConfig = { ...DEFAULT_VIDEO_CONFIG, ...props.videoConfig };
+  const durationInSeconds = Number(props.durationInSeconds) || 1;
+
+  return {
+    durationInFrames: Math.max(1, Math.round(durationInSeconds * videoConfig.fps)),
+    fps: videoConfig.fps,
+    width: videoConfig.width,
+    height: videoConfig.height,
+  };
+};
+
+const defaultProps = {
+  durationInSeconds: 10,
+  videoConfig: DEFAULT_VIDEO_CONFIG,
+  titleText: "",
+  textPosition: "bottom",
+  titleStyle: null,
+  videoSource: null,
+  demoVideoSource: null,
+  templateImage: null,
+  demoImage: null,
+  templateReframe: null,
+  demoReframe: null,
+  audioSource: null,
+  audioOffsetInSeconds: 0,
+  enableAudio: false,
+  audioMix: null,
+  splitPosition: null,
+  splitLayout: null,
+  firstVideoDuration: 0,
+  transition: null,
+  clips: [],
+  pip: null,
+  captions: null,
+  overlays: [],
+  branding: null,
+  endCard: null,
+};
+
+export const RemotionRoot = () => {
+  return (
+    <>
+      <Composition
+        id={COMPOSITION_IDS.single}
+        component={SingleVideoComposition}
+        durationInFrames={defaultProps.durationInSeconds * DEFAULT_VIDEO_CONFIG.fps}
+        fps={DEFAULT_VIDEO_CONFIG.fps}
+        width={DEFAULT_VIDEO_CONFIG.width}
+        height={DEFAULT_VIDEO_CONFIG.height}
+        defaultProps={defaultProps}
+        calculateMetadata={calculateMetadata}
+      />
+      <Composition
+        id={COMPOSITION_IDS.split}
+        component={SplitScreenComposition}
+        durationInFrames={defaultProps.durationInSeconds * DEFAULT_VIDEO_CONFIG.fps}
+        fps={DEFAULT_VIDEO_CONFIG.fps}
+        width={DEFAULT_VIDEO_CONFIG.width}
+        height={DEFAULT_VIDEO_CONFIG.height}
+        defaultProps={defaultProps}
+        calculateMetadata={calculateMetadata}
+      />
+      <Composition
+        id={COMPOSITION_IDS.sequential}
+        component={SequentialComposition}
+        durationInFrames={defaultProps.durationInSeconds * DEFAULT_VIDEO_CONFIG.fps}
+        fps={DEFAULT_VIDEO_CONFIG.fps}
+        width={DEFAULT_VIDEO_CONFIG.width}
+        height={DEFAULT_VIDEO_CONFIG.height}
+        defaultProps={defaultProps}
+        calculateMetadata={calculateMetadata}
+      />
+      <Composition
+        id={COMPOSITION_IDS.timeline}
+        component={TimelineComposition}
+        durationInFrames={defaultProps.durationInSeconds * DEFAULT_VIDEO_CONFIG.fps}
+        fps={DEFAULT_VIDEO_CONFIG.fps}
+        width={DEFAULT_VIDEO_CONFIG.width}
+        height={DEFAULT_VIDEO_CONFIG.height}
+        defaultProps={defaultProps}
+        calculateMetadata={calculateMetadata}
+      />
+      <Composition
+        id={COMPOSITION_IDS.pip}
+        component={PictureInPictureComposition}
+        durationInFrames={defaultProps.durationInSeconds * DEFAULT_VIDEO_CONFIG.fps}
+        fps={DEFAULT_VIDEO_CONFIG.fps}
+        width={DEFAULT_VIDEO_CONFIG.width}
+        height={DEFAULT_VIDEO_CONFIG.height}
+        defaultProps={defaultProps}
+        calculateMetadata={calculateMetadata}
+      />
+    </>
+  );
+};
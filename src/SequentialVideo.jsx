@@ -1,10 +1,15 @@
 import React from "react";
 import {
   AbsoluteFill,
-  Video as RemotionVideo,
+  Easing,
+  interpolate,
+  useCurrentFrame,
   useVideoConfig,
   Sequence,
 } from "remotion";
+import { TitleText } from "./TitleText";
+import { getTransitionStyles } from "./transitionStyles";
+import { MediaSource } from "./MediaSource";
 
 /**
  * Component for displaying two videos sequentially (one after the other)
@@ -12,111 +17,121 @@ import {
  * @param {Object} props Component props
  * @param {string} props.videoSource Path or URL to the first video
  * @param {string} props.demoVideoSource Path or URL to the second video
+ * @param {Object} [props.templateImage] Image options when the first source is a still image
+ * @param {Object} [props.demoImage] Image options when the second source is a still image
+ * @param {Object} [props.templateReframe] Crop path of the first video (smart reframing)
+ * @param {Object} [props.demoReframe] Crop path of the second video
  * @param {number} props.firstVideoDuration Duration of the first video in seconds
  * @param {string} props.titleText Title text to display (only shown during first video)
  * @param {string} props.textPosition Position of the title text (top, center, bottom)
+ * @param {Object} props.titleStyle Title text style preset and overrides
+ * @param {number} [props.templateVolume=1] Volume of the first video
+ * @param {number} [props.demoVolume=1] Volume of the second video
+ * @param {Object} [props.transition] Transition built by buildTransition (libs/transitions.js);
+ *   the second video starts `transition.duration` seconds before the first one ends
  */
 export const SequentialVideo = ({
   videoSource,
   demoVideoSource,
+  templateImage = null,
+  demoImage = null,
+  templateReframe = null,
+  demoReframe = null,
   firstVideoDuration,
   titleText,
   textPosition,
+  titleStyle,
+  templateVolume = 1,
+  demoVolume = 1,
+  transition = null,
 }) => {
+  const frame = useCurrentFrame();
   const { fps } = useVideoConfig();
 
-  // Calculate the transition frame (when to switch videos)
+  // Calculate the transition frame (when the first video ends)
   const transitionFrame = Math.floor(firstVideoDuration * fps);
 
-  // Determine text position style
-  const getTextPositionStyle = () => {
-    switch (textPosition) {
-      case "top":
-        return {
-          top: "10%",
-          bottom: "auto",
-        };
-      case "center":
-        return {
-          top: "50%",
-          transform: "translateY(-50%)",
-          bottom: "auto",
-        };
-      case "bottom":
-      default:
-        return {
-          bottom: "10%",
-          top: "auto",
-        };
-    }
-  };
+  // The clips overlap for the length of the transition
+  const overlapFrames =
+    transition && transition.type !== "cut"
+      ? Math.min(Math.round(transition.duration * fps), transitionFrame)
+      : 0;
+  const demoStartFrame = transitionFrame - overlapFrames;
 
-  // Get position style
-  const positionStyle = getTextPositionStyle();
+  const styles =
+    overlapFrames > 0
+      ? getTransitionStyles(
+          transition,
+          interpolate(frame, [demoStartFrame, transitionFrame], [0, 1], {
+            extrapolateLeft: "clamp",
+            extrapolateRight: "clamp",
+            easing: Easing.inOut(Easing.cubic),
+          })
+        )
+      : { outgoing: {}, incoming: {} };
+
+  // The audio of the clips crossfades during the transition
+  const getTemplateVolume = (videoFrame) =>
+    overlapFrames > 0
+      ? templateVolume *
+        interpolate(videoFrame, [demoStartFrame, transitionFrame], [1, 0], {
+          extrapolateLeft: "clamp",
+          extrapolateRight: "clamp",
+        })
+      : templateVolume;
+  const getDemoVolume = (videoFrame) =>
+    overlapFrames > 0
+      ? demoVolume *
+        interpolate(videoFrame, [0, overlapFrames], [0, 1], {
+          extrapolateLeft: "clamp",
+          extrapolateRight: "clamp",
+        })
+      : demoVolume;
 
   return (
-    <AbsoluteFill style={{ backgroundColor: "black" }}>
+    <AbsoluteFill style={{ backgroundColor: "black", overflow: "hidden" }}>
       {/* First Video Sequence */}
       <Sequence durationInFrames={transitionFrame} from={0}>
         {videoSource && (
-          <>
-            <RemotionVideo
+          <AbsoluteFill style={styles.outgoing}>
+            <MediaSource
               src={videoSource}
+              image={templateImage}
+              reframe={templateReframe}
               style={{
                 width: "100%",
                 height: "100%",
                 objectFit: "cover",
               }}
-              volume={1}
+              volume={getTemplateVolume}
             />
 
             {/* Title text - only shown during first video if titleText exists */}
-            {titleText && (
-              <div
-                style={{
-                  position: "absolute",
-                  left: 0,
-                  right: 0,
-                  textAlign: "center",
-                  padding: "0 20px",
-                  zIndex: 20,
-                  ...positionStyle,
-                }}
-              >
-                <h1
-                  style={{
-                    color: "white",
-                    fontSize: "64px",
-                    fontFamily: "Inter, sans-serif",
-                    fontWeight: 700,
-                    textShadow:
-                      "-4px -4px 0 #000, 4px -4px 0 #000, -4px 4px 0 #000, 4px 4px 0 #000, 0 -4px 0 #000, 0 4px 0 #000, -4px 0 0 #000, 4px 0 0 #000",
-                    margin: 0,
-                    lineHeight: 1.2,
-                    paddingLeft: "12px",
-                    paddingRight: "12px",
-                  }}
-                >
-                  {titleText}
-                </h1>
-              </div>
-            )}
-          </>
+            <TitleText
+              titleText={titleText}
+              textPosition={textPosition}
+              textStyle={titleStyle}
+            />
+          </AbsoluteFill>
         )}
       </Sequence>
 
-      {/* Second Video Sequence - starts exactly after the first video ends */}
-      <Sequence from={transitionFrame}>
+      {/* Second Video Sequence - starts when the transition into it begins */}
+      <Sequence from={demoStartFrame}>
         {demoVideoSource && (
-          <RemotionVideo
-            src={demoVideoSource}
-            style={{
-              width: "100%",
-              height: "100%",
-              objectFit: "cover",
-            }}
-            volume={1}
-          />
+          <AbsoluteFill style={styles.incoming}>
+            <MediaSource
+              src={demoVideoSource}
+              image={demoImage}
+              reframe={demoReframe}
+              style={{
+                width: "100%",
+                height: "100%",
+                objectFit: "cover",
+              }}
+              volume={getDemoVolume}
+            />
+          </AbsoluteFill>
         )}
       </Sequence>
     </AbsoluteFill>
@@ -1,5 +1,58 @@
 import React from "react";
-import { AbsoluteFill, staticFile, Video as RemotionVideo } from "remotion";
+import { AbsoluteFill, staticFile } from "remotion";
+import { MediaSource } from "./MediaSource";
+
+const DEFAULT_SPLIT_LAYOUT = {
+  ratio: 50,
+  dividerWidth: 0,
+  dividerColor: "#000000",
+  templateFocus: { x: 50, y: 50 },
+  demoFocus: { x: 50, y: 50 },
+};
+
+/**
+ * One pane of the split: the video cropped around its focal point, or a placeholder
+ */
+const SplitPane = ({ src, image, reframe, volume, focus, share, order, placeholder }) => (
+  <div
+    style={{
+      flex: `${share} 1 0`,
+      position: "relative",
+      order,
+      minWidth: 0,
+      minHeight: 0,
+      overflow: "hidden",
+    }}
+  >
+    {src ? (
+      <MediaSource
+        src={src}
+        image={image}
+        reframe={reframe}
+        style={{
+          width: "100%",
+          height: "100%",
+          objectFit: "cover",
+          objectPosition: `${focus.x}% ${focus.y}%`, // Keep the focal point in view
+        }}
+        volume={volume}
+      />
+    ) : (
+      <div
+        style={{
+          width: "100%",
+          height: "100%",
+          backgroundColor: placeholder.color,
+          display: "flex",
+          alignItems: "center",
+          justifyContent: "center",
+        }}
+      >
+        <div style={{ color: "white", fontSize: "24px" }}>{placeholder.label}</div>
+      </div>
+    )}
+  </div>
+);
 
 /**
  * Component for displaying two videos with configurable split layout
@@ -7,22 +60,37 @@ import { AbsoluteFill, staticFile, Video as RemotionVideo } from "remotion";
  * @param {Object} props Component props
  * @param {string} props.videoSource Path or URL to the first video
  * @param {string} props.demoVideoSource Path or URL to the second video
+ * @param {Object} [props.templateImage] Image options when the first source is a still image
+ * @param {Object} [props.demoImage] Image options when the second source is a still image
  * @param {string} props.splitPosition Layout of the videos (left-right, right-left, top-bottom, bottom-top)
+ * @param {number} [props.templateVolume=1] Volume of the first video
+ * @param {number} [props.demoVolume=0] Volume of the second video (muted by default)
+ * @param {Object} [props.splitLayout] Split ratio, divider and focal points built by buildSplitLayout (libs/splitLayout.js)
+ * @param {Object} [props.templateReframe] Crop path of the first video (smart reframing, replaces its focal point)
+ * @param {Object} [props.demoReframe] Crop path of the second video
  */
 export const SplitScreenVideo = ({
   videoSource,
   demoVideoSource,
+  templateImage = null,
+  demoImage = null,
+  templateReframe = null,
+  demoReframe = null,
   splitPosition,
+  templateVolume = 1,
+  demoVolume = 0,
+  splitLayout,
 }) => {
+  const layout = { ...DEFAULT_SPLIT_LAYOUT, ...splitLayout };
+
   // Check if video sources are provided
   const hasFirstVideo = videoSource && typeof videoSource === "string";
   const hasSecondVideo = demoVideoSource && typeof demoVideoSource === "string";
 
   // Determine flex direction based on split position
-  let flexDirection = "row"; // Default for left-right and right-left
-  if (splitPosition === "top-bottom" || splitPosition === "bottom-top") {
-    flexDirection = "column";
-  }
+  const isVertical =
+    splitPosition === "top-bottom" || splitPosition === "bottom-top";
+  const flexDirection = isVertical ? "column" : "row"; // Row for left-right and right-left
 
   // Determine video order based on split position
   const reverseOrder =
@@ -37,89 +105,40 @@ export const SplitScreenVideo = ({
         overflow: "hidden", // Ensure content stays within bounds
       }}
     >
-      {/* First video container */}
-      <div
-        style={{
-          flex: 1,
-          position: "relative",
-          order: reverseOrder ? 1 : 0,
-          minHeight:
-            splitPosition === "top-bottom" || splitPosition === "bottom-top"
-              ? "50%"
-              : "auto",
-          minWidth:
-            splitPosition === "left-right" || splitPosition === "right-left"
-              ? "50%"
-              : "auto",
-        }}
-      >
-        {hasFirstVideo ? (
-          <RemotionVideo
-            src={videoSource}
-            style={{
-              width: "100%",
-              height: "100%",
-              objectFit: "cover",
-            }}
-            volume={1}
-          />
-        ) : (
-          <div
-            style={{
-              width: "100%",
-              height: "100%",
-              backgroundColor: "#333",
-              display: "flex",
-              alignItems: "center",
-              justifyContent: "center",
-            }}
-          >
-            <div style={{ color: "white", fontSize: "24px" }}>Video 1</div>
-          </div>
-        )}
-      </div>
+      {/* First video pane */}
+      <SplitPane
+        src={hasFirstVideo ? videoSource : null}
+        image={templateImage}
+        reframe={templateReframe}
+        volume={templateVolume}
+        focus={layout.templateFocus}
+        share={layout.ratio}
+        order={reverseOrder ? 2 : 0}
+        placeholder={{ color: "#333", label: "Video 1" }}
+      />
 
-      {/* Second video container */}
-      <div
-        style={{
-          flex: 1,
-          position: "relative",
-          order: reverseOrder ? 0 : 1,
-          minHeight:
-            splitPosition === "top-bottom" || splitPosition === "bottom-top"
-              ? "50%"
-              : "auto",
-          minWidth:
-            splitPosition === "left-right" || splitPosition === "right-left"
-              ? "50%"
-              : "auto",
-        }}
-      >
-        {hasSecondVideo ? (
-          <RemotionVideo
-            src={demoVideoSource}
-            style={{
-              width: "100%",
-              height: "100%",
-              objectFit: "cover",
-            }}
-            volume={0}
-          />
-        ) : (
-          <div
-            style={{
-              width: "100%",
-              height: "100%",
-              backgroundColor: "#555",
-              display: "flex",
-              alignItems: "center",
-              justifyContent: "center",
-            }}
-          >
-            <div style={{ color: "white", fontSize: "24px" }}>Video 2</div>
-          </div>
-        )}
-      </div>
+      {/* Gap / divider line between the panes */}
+      {layout.dividerWidth > 0 && (
+        <div
+          style={{
+            flex: `0 0 ${layout.dividerWidth}px`,
+            order: 1,
+            backgroundColor: layout.dividerColor,
+          }}
+        />
+      )}
+
+      {/* Second video pane */}
+      <SplitPane
+        src={hasSecondVideo ? demoVideoSource : null}
+        image={demoImage}
+        reframe={demoReframe}
+        volume={demoVolume}
+        focus={layout.demoFocus}
+        share={100 - layout.ratio}
+        order={reverseOrder ? 0 : 2}
+        placeholder={{ color: "#555", label: "Video 2" }}
+      />
     </AbsoluteFill>
   );
 };
@@ -0,0 +1,145 @@
+import React, { useMemo } from "react";
+import { useVideoConfig } from "remotion";
+import { resolveTextStyle } from "./textStyles";
+import { fitFontSize } from "./fitText";
+
+const LINE_HEIGHT = 1.2;
+
+/**
+ * Builds an outline out of text shadows (8 directions)
+ * @param {number} width Outline width in px
+ * @param {string} color Outline color
+ * @returns {string} CSS text-shadow value
+ */
+export const getStrokeShadow = (width, color) => {
+  if (!width) return "none";
+
+  return [
+    [-1, -1],
+    [1, -1],
+    [-1, 1],
+    [1, 1],
+    [0, -1],
+    [0, 1],
+    [-1, 0],
+    [1, 0],
+  ]
+    .map(([x, y]) => `${x * width}px ${y * width}px 0 ${color}`)
+    .join(", ");
+};
+
+/**
+ * CSS for the glyphs of a resolved text style
+ * @param {Object} style Resolved style (see resolveTextStyle in textStyles.js)
+ * @param {number} fontSize Font size in px
+ * @returns {Object} Style object
+ */
+export const getTextCss = (style, fontSize) => {
+  const css = {
+    fontFamily: style.fontFamily,
+    fontWeight: style.fontWeight,
+    fontSize: `${fontSize}px`,
+    lineHeight: LINE_HEIGHT,
+    margin: 0,
+    color: style.color,
+    textShadow: getStrokeShadow(style.strokeWidth, style.strokeColor),
+  };
+
+  if (style.gradient) {
+    // Shadows would show through the transparent glyphs, so outline with a drop shadow
+    return {
+      ...css,
+      color: "transparent",
+      textShadow: "none",
+      backgroundImage: `linear-gradient(180deg, ${style.gradient.join(", ")})`,
+      WebkitBackgroundClip: "text",
+      backgroundClip: "text",
+      filter: style.strokeWidth
+        ? `drop-shadow(0 0 ${style.strokeWidth}px ${style.strokeColor})`
+        : "none",
+    };
+  }
+
+  return css;
+};
+
+/**
+ * CSS for the box behind the text (background color or pill)
+ * @param {Object} style Resolved style
+ * @param {string} [backgroundColor] Box color, defaults to the style's background
+ * @returns {Object} Style object
+ */
+export const getBoxCss = (style, backgroundColor = style.backgroundColor) => {
+  if (!backgroundColor) return {};
+
+  return {
+    display: "inline-block",
+    backgroundColor,
+    borderRadius: style.borderRadius,
+    padding: "0.15em 0.5em",
+    boxDecorationBreak: "clone",
+    WebkitBoxDecorationBreak: "clone",
+  };
+};
+
+/**
+ * Auto-fitted font size for a text in a box
+ * @param {string} text Text to fit
+ * @param {Object} style Resolved style
+ * @param {number} maxWidth Box width in px
+ * @param {number} [maxHeight] Box height in px
+ * @returns {number} Font size in px
+ */
+export const useFittedFontSize = (text, style, maxWidth, maxHeight) => {
+  return useMemo(
+    () =>
+      fitFontSize({
+        text,
+        fontFamily: style.fontFamily,
+        fontWeight: style.fontWeight,
+        fontSize: style.fontSize,
+        maxWidth,
+        maxHeight,
+        lineHeight: LINE_HEIGHT,
+      }),
+    [text, style.fontFamily, style.fontWeight, style.fontSize, maxWidth, maxHeight]
+  );
+};
+
+/**
+ * Text rendered with a style preset, shrunk to fit its box
+ *
+ * @param {Object} props Component props
+ * @param {string} props.text Text to display
+ * @param {Object} props.textStyle Text style ({ preset, ...overrides }, see textStyles.js)
+ * @param {number} [props.maxHeightRatio=0.3] Box height as a fraction of the frame height
+ */
+export const StyledText = ({ text, textStyle, maxHeightRatio = 0.3 }) => {
+  const { width, height } = useVideoConfig();
+  const style = resolveTextStyle(textStyle);
+
+  // Pill titles sit on the highlight color with dark, unoutlined text
+  const isPill = style.highlight === "pill";
+  const glyphStyle = isPill
+    ? { ...style, color: "#000000", strokeWidth: 0, gradient: null }
+    : style;
+  const boxColor = isPill ? style.highlightColor : style.backgroundColor;
+
+  // Leave room for the box padding and the outline
+  const boxWidth = (width * style.maxWidth) / 100;
+  const horizontalInset = (boxColor ? style.fontSize : 0) + style.strokeWidth * 2;
+  const fontSize = useFittedFontSize(
+    text,
+    glyphStyle,
+    boxWidth - horizontalInset,
+    height * maxHeightRatio
+  );
+
+  return (
+    <div style={{ maxWidth: boxWidth, margin: "0 auto" }}>
+      <span style={{ ...getTextCss(glyphStyle, fontSize), ...getBoxCss(style, boxColor) }}>
+        {text}
+      </span>
+    </div>
+  );
+};
@@ -0,0 +1,143 @@
+import React from "react";
+import {
+  Easing,
+  interpolate,
+  Sequence,
+  spring,
+  useCurrentFrame,
+  useVideoConfig,
+} from "remotion";
+import { getTextPositionStyle } from "./TitleText";
+import { StyledText } from "./StyledText";
+
+// Distance travelled by slide animations, in % of the overlay size
+const SLIDE_DISTANCE = 60;
+
+/**
+ * Opacity and transform for an enter/exit animation
+ * @param {string} animation Animation name (see OVERLAY_ANIMATIONS in constants.js)
+ * @param {number} progress 0 = hidden, 1 = fully shown
+ * @param {number} popProgress Spring-driven progress used by "pop"
+ * @returns {{opacity: number, transform: string}} Animated style
+ */
+const getAnimationStyle = (animation, progress, popProgress) => {
+  const offset = (1 - progress) * SLIDE_DISTANCE;
+
+  switch (animation) {
+    case "none":
+      return { opacity: 1, transform: "" };
+    case "pop":
+      return { opacity: progress, transform: `scale(${0.6 + 0.4 * popProgress})` };
+    case "slide-up":
+      return { opacity: progress, transform: `translateY(${offset}%)` };
+    case "slide-down":
+      return { opacity: progress, transform: `translateY(${-offset}%)` };
+    case "slide-left":
+      return { opacity: progress, transform: `translateX(${offset}%)` };
+    case "slide-right":
+      return { opacity: progress, transform: `translateX(${-offset}%)` };
+    case "fade":
+    default:
+      return { opacity: progress, transform: "" };
+  }
+};
+
+/**
+ * Container style for a preset ("top", "center", "bottom") or { x, y } position
+ * @param {string|Object} position Overlay position
+ * @returns {Object} Style object
+ */
+const getOverlayPositionStyle = (position) => {
+  if (typeof position === "object" && position !== null) {
+    return {
+      left: `${position.x}%`,
+      top: `${position.y}%`,
+      width: "100%",
+      transform: "translate(-50%, -50%)",
+    };
+  }
+
+  return { left: 0, right: 0, ...getTextPositionStyle(position) };
+};
+
+/**
+ * One overlay, rendered inside a Sequence (frame 0 = overlay start)
+ */
+const TextOverlay = ({ overlay, durationInFrames }) => {
+  const frame = useCurrentFrame();
+  const { fps } = useVideoConfig();
+
+  const animationFrames = Math.max(1, Math.round(overlay.animationDuration * fps));
+  const framesLeft = durationInFrames - frame;
+  const isExiting = framesLeft < animationFrames;
+
+  const animation = isExiting ? overlay.exit : overlay.enter;
+  const progress = isExiting
+    ? interpolate(framesLeft, [0, animationFrames], [0, 1], {
+        extrapolateLeft: "clamp",
+        extrapolateRight: "clamp",
+        easing: Easing.in(Easing.cubic),
+      })
+    : interpolate(frame, [0, animationFrames], [0, 1], {
+        extrapolateLeft: "clamp",
+        extrapolateRight: "clamp",
+        easing: Easing.out(Easing.cubic),
+      });
+  const popProgress = isExiting
+    ? progress
+    : spring({ frame, fps, durationInFrames: animationFrames });
+
+  const positionStyle = getOverlayPositionStyle(overlay.position);
+  const animationStyle = getAnimationStyle(animation, progress, popProgress);
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        textAlign: "center",
+        zIndex: 25,
+        ...positionStyle,
+        opacity: animationStyle.opacity,
+        transform: [positionStyle.transform, animationStyle.transform]
+          .filter(Boolean)
+          .join(" "),
+      }}
+    >
+      <StyledText text={overlay.text} textStyle={overlay.style} />
+    </div>
+  );
+};
+
+/**
+ * Timed text overlays (hook, benefit line, CTA...) shown on top of any layout
+ *
+ * @param {Object} props Component props
+ * @param {Object[]} props.overlays Overlays built by buildOverlays (libs/overlays.js)
+ */
+export const TextOverlays = ({ overlays }) => {
+  const { fps } = useVideoConfig();
+  if (!overlays || overlays.length === 0) return null;
+
+  return (
+    <>
+      {overlays.map((overlay, index) => {
+        const from = Math.round(overlay.start * fps);
+        const durationInFrames = Math.max(
+          1,
+          Math.round(overlay.end * fps) - from
+        );
+
+        return (
+          <Sequence
+            key={index}
+            from={from}
+            durationInFrames={durationInFrames}
+            layout="none"
+          >
+            <TextOverlay overlay={overlay} durationInFrames={durationInFrames} />
+          </Sequence>
+        );
+      })}
+    </>
+  );
+};
@@ -0,0 +1,56 @@
+import React from "react";
+import { StyledText } from "./StyledText";
+
+/**
+ * Returns the absolute positioning style for a text position
+ * @param {string} textPosition Position of the text (top, center, bottom)
+ * @returns {Object} Style object
+ */
+export const getTextPositionStyle = (textPosition) => {
+  switch (textPosition) {
+    case "top":
+      return {
+        top: "10%",
+        bottom: "auto",
+      };
+    case "center":
+      return {
+        top: "50%",
+        transform: "translateY(-50%)",
+        bottom: "auto",
+      };
+    case "bottom":
+    default:
+      return {
+        bottom: "10%",
+        top: "auto",
+      };
+  }
+};
+
+/**
+ * Title text rendered on top of the video layouts
+ *
+ * @param {Object} props Component props
+ * @param {string} props.titleText Title text to display
+ * @param {string} props.textPosition Position of the title text (top, center, bottom)
+ * @param {Object} props.textStyle Text style preset and overrides (see textStyles.js)
+ */
+export const TitleText = ({ titleText, textPosition, textStyle }) => {
+  if (!titleText) return null;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: 0,
+        right: 0,
+        textAlign: "center",
+        zIndex: 20,
+        ...getTextPositionStyle(textPosition),
+      }}
+    >
+      <StyledText text={titleText} textStyle={textStyle} />
+    </div>
+  );
+};
@@ -0,0 +1,235 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { bundle } = require("@remotion/bundler");
+const { ENTRY_POINT } = require("./compositionInput");
+
+const PROJECT_ROOT = path.resolve(__dirname, "..");
+
+// Prebuilt bundle location (built at Docker build time with `npm run bundle`)
+const BUNDLE_DIR = path.join(PROJECT_ROOT, "dist");
+const MANIFEST_FILE = "bundle-manifest.json";
+
+// Extensions tried, in order, for an import without one (same as the bundler)
+const RESOLVE_EXTENSIONS = [".jsx", ".js", ".tsx", ".ts", ".json"];
+
+// Relative specifiers of `import ... from "./x"`, `import "./x"` and `require("./x")`
+const IMPORT_PATTERN =
+  /(?:\bfrom\s*|\bimport\s*|\brequire\s*\(\s*)["'](\.{1,2}\/[^"']+)["']/g;
+
+// In-flight or finished bundle for this process, keyed by source hash
+let cachedBundle = null;
+
+// Bundle folders handed out by this process (never deleted while it runs)
+const servedDirs = new Set();
+
+/**
+ * Resolves a relative import to a file, trying the bundler's extensions and index files
+ * @param {string} fromFile File containing the import
+ * @param {string} specifier Relative specifier ("./TitleText")
+ * @returns {string|null} Absolute path, or null when nothing matches
+ */
+function resolveImport(fromFile, specifier) {
+  const base = path.resolve(path.dirname(fromFile), specifier);
+  const candidates = [
+    base,
+    ...RESOLVE_EXTENSIONS.map((ext) => `${base}${ext}`),
+    ...RESOLVE_EXTENSIONS.map((ext) => path.join(base, `index${ext}`)),
+  ];
+  return candidates.find((file) => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+}
+
+/**
+ * Lists the local files the bundle entry point imports, directly or not, sorted for a
+ * stable hash. Node-only modules in src/ (render pipeline, job builders...) are not
+ * reachable from the entry point, so editing them does not invalidate the bundle.
+ * @param {string} entryPoint Bundle entry point
+ * @returns {string[]} Absolute file paths
+ */
+function listBundledFiles(entryPoint) {
+  const seen = new Set();
+  const pending = [entryPoint];
+
+  while (pending.length > 0) {
+    const file = pending.pop();
+    if (seen.has(file)) continue;
+    seen.add(file);
+
+    const content = fs.readFileSync(file, "utf8");
+    for (const match of content.matchAll(IMPORT_PATTERN)) {
+      const resolved = resolveImport(file, match[1]);
+      if (resolved && !seen.has(resolved)) pending.push(resolved);
+    }
+  }
+
+  return [...seen].sort();
+}
+
+/**
+ * Hashes the files the bundle is built from, together with the Remotion version
+ * @returns {string} Hex digest identifying the bundle contents
+ */
+function computeSourceHash() {
+  const hash = crypto.createHash("sha256");
+  hash.update(`remotion@${require("remotion/package.json").version}\n`);
+
+  for (const file of listBundledFiles(ENTRY_POINT)) {
+    hash.update(path.relative(PROJECT_ROOT, file));
+    hash.update("\0");
+    hash.update(fs.readFileSync(file));
+    hash.update("\0");
+  }
+
+  return hash.digest("hex");
+}
+
+/**
+ * Folder of the bundle built from a source hash
+ * @param {string} sourceHash Source hash
+ * @returns {string} dist/<hash prefix>
+ */
+function getBundleDir(sourceHash) {
+  return path.join(BUNDLE_DIR, sourceHash.slice(0, 16));
+}
+
+/**
+ * Checks that a folder holds a complete bundle built from a source hash
+ * @param {string} bundleDir Bundle folder
+ * @param {string} sourceHash Expected source hash
+ * @returns {boolean} Whether the bundle can be served
+ */
+function isBundleReady(bundleDir, sourceHash) {
+  try {
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(bundleDir, MANIFEST_FILE), "utf8")
+    );
+    return (
+      manifest.sourceHash === sourceHash &&
+      fs.existsSync(path.join(bundleDir, "index.html"))
+    );
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Deletes the bundles of other source versions from dist/. Bundles this process handed
+ * out are kept, since renders started before a rebuild may still be serving them, and so
+ * are the folders other processes are still building into.
+ * @param {string} keepDir Bundle just built
+ */
+function pruneBundles(keepDir) {
+  for (const name of fs.readdirSync(BUNDLE_DIR)) {
+    const entryPath = path.join(BUNDLE_DIR, name);
+    if (entryPath === keepDir || servedDirs.has(entryPath) || name.endsWith(".partial")) {
+      continue;
+    }
+
+    try {
+      fs.rmSync(entryPath, { recursive: true, force: true });
+      console.log(`Deleted outdated Remotion bundle: ${entryPath}`);
+    } catch (err) {
+      console.warn(`Failed to delete outdated Remotion bundle ${entryPath}:`, err);
+    }
+  }
+}
+
+/**
+ * Bundles the Remotion project into dist/<hash>/.
+ * Builds into a temporary folder first so a crash never leaves a half-written bundle, and
+ * never touches the folder of another version, so renders using it are not disturbed.
+ * @param {string} sourceHash Hash of the sources being bundled
+ * @returns {Promise<string>} Path to the bundle
+ */
+async function buildBundle(sourceHash) {
+  const bundleDir = getBundleDir(sourceHash);
+  const tempDir = `${bundleDir}.${process.pid}.partial`;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+
+  console.log(`Bundling Remotion project (${sourceHash.slice(0, 12)})...`);
+  const startedAt = Date.now();
+
+  try {
+    await bundle({
+      entryPoint: ENTRY_POINT,
+      outDir: tempDir,
+      rootDir: PROJECT_ROOT,
+    });
+
+    fs.writeFileSync(
+      path.join(tempDir, MANIFEST_FILE),
+      JSON.stringify(
+        { sourceHash, builtAt: new Date().toISOString() },
+        null,
+        2
+      )
+    );
+
+    // Another process may have finished the same bundle first
+    if (isBundleReady(bundleDir, sourceHash)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    } else {
+      fs.rmSync(bundleDir, { recursive: true, force: true });
+      fs.renameSync(tempDir, bundleDir);
+    }
+  } catch (error) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  console.log(`Bundle ready in ${Date.now() - startedAt}ms: ${bundleDir}`);
+  pruneBundles(bundleDir);
+  return bundleDir;
+}
+
+/**
+ * Returns the Remotion bundle shared by every render in this process.
+ * Reuses dist/<hash>/ when it was built from the current sources, builds it otherwise;
+ * bundles of earlier versions stay in place for the renders still using them.
+ * @returns {Promise<string>} Serve URL (directory) of the bundle
+ */
+function getBundle() {
+  const sourceHash = computeSourceHash();
+
+  if (cachedBundle && cachedBundle.sourceHash === sourceHash) {
+    return cachedBundle.promise;
+  }
+
+  const bundleDir = getBundleDir(sourceHash);
+  let promise;
+  if (isBundleReady(bundleDir, sourceHash)) {
+    console.log(`Using prebuilt Remotion bundle: ${bundleDir}`);
+    promise = Promise.resolve(bundleDir);
+  } else {
+    promise = buildBundle(sourceHash);
+  }
+
+  const entry = { sourceHash, promise };
+  cachedBundle = entry;
+
+  promise.then(
+    (dir) => servedDirs.add(dir),
+    // Let the next caller retry if this build failed
+    () => {
+      if (cachedBundle === entry) cachedBundle = null;
+    }
+  );
+
+  return promise;
+}
+
+module.exports = {
+  BUNDLE_DIR,
+  computeSourceHash,
+  getBundle,
+};
+
+// `node src/bundleCache.js` builds the bundle ahead of time (Docker build, deploys)
+if (require.main === module) {
+  getBundle()
+    .then(() => process.exit(0))
+    .catch((err) => {
+      console.error("Failed to build Remotion bundle:", err);
+      process.exit(1);
+    });
+}
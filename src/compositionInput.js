@@ -0,0 +1,117 @@
+const path = require("path");
+const { COMPOSITION_IDS, DEFAULT_VIDEO_CONFIG } = require("./constants");
+
+// Entry point of the Remotion project registering every composition
+const ENTRY_POINT = path.join(__dirname, "index.jsx");
+
+/**
+ * Picks the registered composition for a job and builds its input props.
+ * Nothing is written to disk: every value reaches the components as inputProps.
+ * @param {Object} options Options for the video
+ * @param {string} options.titleText The title text to display
+ * @param {number} options.durationInSeconds The duration of the video to be generated
+ * @param {Object} options.videoConfig Output size and frame rate built by buildVideoConfig (libs/outputProfile.js)
+ * @param {number} options.audioOffsetInSeconds The audio offset duration
+ * @param {string} options.textPosition The position of the text (top, center, bottom)
+ * @param {Object} options.titleStyle Title text style built by buildTextStyle (textStyles.js)
+ * @param {string} options.videoSource Path or URL to the video source
+ * @param {Object} options.templateImage Image options built by buildImageOptions (libs/mediaType.js) when the video source is a still image
+ * @param {Object} options.demoImage Image options when the demo source is a still image
+ * @param {Object} options.templateReframe Crop path of the video source computed by computeCropPath (libs/reframe.js); null for a center crop
+ * @param {Object} options.demoReframe Crop path of the demo source
+ * @param {string} options.audioSource Path or URL to the background audio
+ * @param {boolean} options.enableAudio Whether to enable additional audio alongside video
+ * @param {Object} options.audioMix Track volumes, music fades and ducking built by buildAudioMix (libs/audioMix.js)
+ * @param {boolean} options.splitScreen Whether to show two videos side by side
+ * @param {string} options.demoVideoSource Path or URL to the second video (split screen or sequential)
+ * @param {string} options.splitPosition Layout of the videos (left-right, right-left, top-bottom, bottom-top)
+ * @param {Object} options.splitLayout Split ratio, divider and focal points built by buildSplitLayout (libs/splitLayout.js)
+ * @param {boolean} options.sequentialMode Whether to show videos sequentially (one after another) instead of split screen
+ * @param {number} options.firstVideoDuration Duration of the first video in seconds when in sequential mode
+ * @param {Object} options.transition Transition between the videos in sequential mode, built by buildTransition (libs/transitions.js)
+ * @param {Object} options.pip Picture-in-picture settings built by buildPictureInPicture (libs/pictureInPicture.js); enables the layout when a demo video is set
+ * @param {Object[]} options.clips Clips of a multi-clip timeline planned by planTimeline (libs/clips.js); takes precedence over the other layouts
+ * @param {Object} options.captions Word-by-word captions built by buildCaptions (libs/transcript.js)
+ * @param {Object[]} options.overlays Timed text overlays built by buildOverlays (libs/overlays.js)
+ * @param {Object} options.branding Brand logo overlay built by buildBranding (libs/branding.js)
+ * @param {Object} options.endCard End card built by buildEndCard (libs/endCard.js), shown during the last endCard.duration seconds
+ * @returns {{compositionId: string, inputProps: Object}} Composition to render and its props
+ */
+function buildCompositionInput(options) {
+  const {
+    titleText = "",
+    durationInSeconds,
+    videoConfig = DEFAULT_VIDEO_CONFIG,
+    audioOffsetInSeconds = 0,
+    textPosition = "bottom",
+    titleStyle = null,
+    videoSource = null,
+    templateImage = null,
+    demoImage = null,
+    templateReframe = null,
+    demoReframe = null,
+    audioSource = null,
+    enableAudio = false,
+    audioMix = null,
+    splitScreen = false,
+    demoVideoSource = null,
+    splitPosition = null,
+    splitLayout = null,
+    sequentialMode = false,
+    firstVideoDuration = 0,
+    transition = null,
+    clips = [],
+    pip = null,
+    captions = null,
+    overlays = [],
+    branding = null,
+    endCard = null,
+  } = options;
+
+  let compositionId = COMPOSITION_IDS.single;
+  if (clips.length > 0) {
+    compositionId = COMPOSITION_IDS.timeline;
+  } else if (sequentialMode && demoVideoSource) {
+    compositionId = COMPOSITION_IDS.sequential;
+  } else if (pip && demoVideoSource) {
+    compositionId = COMPOSITION_IDS.pip;
+  } else if (splitScreen && demoVideoSource) {
+    compositionId = COMPOSITION_IDS.split;
+  }
+
+  return {
+    compositionId,
+    inputProps: {
+      durationInSeconds,
+      videoConfig,
+      titleText,
+      textPosition,
+      titleStyle,
+      videoSource,
+      demoVideoSource,
+      templateImage,
+      demoImage,
+      templateReframe,
+      demoReframe,
+      audioSource,
+      audioOffsetInSeconds,
+      enableAudio,
+      audioMix,
+      splitPosition,
+      splitLayout,
+      firstVideoDuration,
+      transition,
+      clips,
+      pip,
+      captions,
+      overlays,
+      branding,
+      endCard,
+    },
+  };
+}
+
+module.exports = {
+  ENTRY_POINT,
+  buildCompositionInput,
+};
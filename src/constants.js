@@ -0,0 +1,96 @@
+// Shared between the Node render pipeline and the Remotion bundle (src/Root.jsx).
+// Values a job payload can pick from are defined in payloadValues.json, which the
+// payload schema (supabase/functions/_shared/payloadSchema.mjs) reads too.
+
+const PAYLOAD_VALUES = require("../supabase/functions/_shared/payloadValues.json");
+
+/**
+ * IDs of the compositions registered in src/Root.jsx
+ */
+const COMPOSITION_IDS = {
+  single: "SingleVideo",
+  split: "SplitScreen",
+  sequential: "Sequential",
+  timeline: "Timeline",
+  pip: "PictureInPicture",
+};
+
+/**
+ * Default output settings for every composition
+ */
+const DEFAULT_VIDEO_CONFIG = {
+  fps: 30,
+  width: 1080,
+  height: 1920,
+};
+
+/**
+ * Output profiles selectable per job (aspect ratio -> frame size).
+ * "custom" takes its width and height from the job.
+ */
+const OUTPUT_PROFILES = PAYLOAD_VALUES.outputProfiles;
+
+const DEFAULT_OUTPUT_PROFILE = "9:16";
+
+/**
+ * Render qualities: drafts are fast low-resolution previews with a "DRAFT" watermark
+ * (see getQualitySettings in libs/outputProfile.js)
+ */
+const RENDER_QUALITIES = PAYLOAD_VALUES.renderQualities;
+
+/**
+ * Preset text positions (see getTextPositionStyle in TitleText.jsx)
+ */
+const TEXT_POSITIONS = PAYLOAD_VALUES.textPositions;
+
+/**
+ * Enter/exit animations for timed text overlays (see TextOverlays.jsx)
+ */
+const OVERLAY_ANIMATIONS = PAYLOAD_VALUES.overlayAnimations;
+
+/**
+ * Transitions between the clips of the sequential layout (see SequentialVideo.jsx)
+ */
+const TRANSITION_TYPES = PAYLOAD_VALUES.transitionTypes;
+
+/**
+ * Directions of the slide, wipe and whip-pan transitions (where the next clip moves to)
+ */
+const TRANSITION_DIRECTIONS = PAYLOAD_VALUES.transitionDirections;
+
+/**
+ * How a clip of a multi-clip timeline fills the frame (see ClipTimeline.jsx):
+ * cropped to cover it, letterboxed on black, or letterboxed on a blurred copy
+ */
+const CLIP_LAYOUTS = PAYLOAD_VALUES.clipLayouts;
+
+/**
+ * Frame corners used to place the picture-in-picture bubble and the brand logo
+ */
+const CORNERS = PAYLOAD_VALUES.corners;
+
+/**
+ * Bubble shapes of the picture-in-picture layout (see PictureInPictureVideo.jsx)
+ */
+const PIP_SHAPES = PAYLOAD_VALUES.pipShapes;
+
+/**
+ * Pan/zoom (Ken Burns) motions of still image inputs (see MediaSource.jsx)
+ */
+const KEN_BURNS_MOTIONS = PAYLOAD_VALUES.kenBurnsMotions;
+
+module.exports = {
+  COMPOSITION_IDS,
+  DEFAULT_VIDEO_CONFIG,
+  OUTPUT_PROFILES,
+  DEFAULT_OUTPUT_PROFILE,
+  RENDER_QUALITIES,
+  TEXT_POSITIONS,
+  OVERLAY_ANIMATIONS,
+  TRANSITION_TYPES,
+  TRANSITION_DIRECTIONS,
+  CLIP_LAYOUTS,
+  CORNERS,
+  PIP_SHAPES,
+  KEN_BURNS_MOTIONS,
+};
@@ -0,0 +1,82 @@
+// Text measurement for auto-fitting text into a box (runs in the browser during render)
+
+let measureContext = null;
+
+/**
+ * Measures the rendered width of a string
+ * @param {string} text Text to measure
+ * @param {string} font CSS font shorthand (e.g. "700 64px Inter, sans-serif")
+ * @returns {number} Width in px
+ */
+export const measureTextWidth = (text, font) => {
+  if (!measureContext) {
+    measureContext = document.createElement("canvas").getContext("2d");
+  }
+  measureContext.font = font;
+  return measureContext.measureText(text).width;
+};
+
+/**
+ * Greedily wraps text into lines no wider than maxWidth
+ * @param {string} text Text to wrap
+ * @param {string} font CSS font shorthand
+ * @param {number} maxWidth Maximum line width in px
+ * @returns {{lines: string[], widestWord: number}} Wrapped lines and the widest single word
+ */
+export const wrapText = (text, font, maxWidth) => {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = "";
+  let widestWord = 0;
+
+  for (const word of words) {
+    widestWord = Math.max(widestWord, measureTextWidth(word, font));
+    const candidate = current ? `${current} ${word}` : word;
+    if (current && measureTextWidth(candidate, font) > maxWidth) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  }
+  if (current) lines.push(current);
+
+  return { lines, widestWord };
+};
+
+/**
+ * Finds the largest font size (up to fontSize) at which the text fits the box:
+ * no word wider than maxWidth and the wrapped lines no taller than maxHeight
+ * @param {Object} options Fit options
+ * @param {string} options.text Text to fit
+ * @param {string} options.fontFamily CSS font family
+ * @param {number} options.fontWeight CSS font weight
+ * @param {number} options.fontSize Preferred font size in px
+ * @param {number} options.maxWidth Box width in px
+ * @param {number} [options.maxHeight=Infinity] Box height in px
+ * @param {number} [options.lineHeight=1.2] Line height multiplier
+ * @param {number} [options.minFontSize=24] Smallest allowed font size in px
+ * @returns {number} Font size in px
+ */
+export const fitFontSize = ({
+  text,
+  fontFamily,
+  fontWeight,
+  fontSize,
+  maxWidth,
+  maxHeight = Infinity,
+  lineHeight = 1.2,
+  minFontSize = 24,
+}) => {
+  if (!text || typeof document === "undefined") return fontSize;
+
+  for (let size = fontSize; size > minFontSize; size -= 2) {
+    const font = `${fontWeight} ${size}px ${fontFamily}`;
+    const { lines, widestWord } = wrapText(text, font, maxWidth);
+    if (widestWord <= maxWidth && lines.length * size * lineHeight <= maxHeight) {
+      return size;
+    }
+  }
+
+  return Math.min(fontSize, minFontSize);
+};
@@ -0,0 +1,231 @@
+// Builds the render job shared by both entry points from either a generated_videos row
+// (RunPod worker) or a POST /render-video body (Express API). Both entry points validate the
+// payload against the shared schema first, so building the job mostly fills in defaults.
+
+const { resolveBranding } = require("../libs/supabase/brands");
+const { brandingFromRow } = require("../libs/branding");
+const { buildEndCard, endCardFromRow } = require("../libs/endCard");
+const { buildOutputFormats } = require("../libs/outputFormats");
+const { buildHlsOptions, hlsFromRow } = require("../libs/hls");
+const { buildPreviewOptions, previewFromRow } = require("../libs/preview");
+const { buildCaptions } = require("../libs/transcript");
+const { buildOverlays } = require("../libs/overlays");
+const { buildVideoConfig, applyQuality } = require("../libs/outputProfile");
+const { buildTransition } = require("../libs/transitions");
+const { buildPictureInPicture } = require("../libs/pictureInPicture");
+const { buildSplitLayout, splitLayoutFromRow } = require("../libs/splitLayout");
+const { buildImageOptions } = require("../libs/mediaType");
+const { buildClips } = require("../libs/clips");
+const { buildReframeOptions, reframeFromRow } = require("../libs/reframe");
+const { buildTextStyle, textStyleFromRow } = require("./textStyles");
+const {
+  buildAudioMix,
+  audioMixFromRow,
+  buildMusicOptions,
+  musicFromRow,
+} = require("../libs/audioMix");
+
+// Length used when the source durations cannot be detected
+const FALLBACK_DURATION = 30;
+const FALLBACK_FIRST_VIDEO_DURATION = 6;
+
+const VALID_SPLIT_POSITIONS = ["left-right", "right-left", "top-bottom", "bottom-top"];
+
+/**
+ * Picks the layout of a job from its sources and mode
+ * @param {Object} options Layout options
+ * @param {string} options.demoVideoSource Demo URL (null without a demo)
+ * @param {boolean} options.sequentialMode Play the template, then the demo
+ * @param {Object} options.pip Picture-in-picture settings (null when off)
+ * @param {boolean} options.splitScreen Split screen requested
+ * @param {string} options.splitPosition Split screen position
+ * @returns {Object} { sequentialMode, pipMode, splitScreen, splitPosition }
+ */
+function resolveLayout({ demoVideoSource, sequentialMode, pip, splitScreen, splitPosition }) {
+  const pipMode = !sequentialMode && pip !== null;
+  const isSplit = splitScreen && !sequentialMode && !pipMode && demoVideoSource !== null;
+
+  if (isSplit && !VALID_SPLIT_POSITIONS.includes(splitPosition)) {
+    throw new Error(
+      "Invalid splitPosition value. Must be one of: left-right, right-left, top-bottom, bottom-top"
+    );
+  }
+
+  return {
+    sequentialMode,
+    pipMode,
+    splitScreen: isSplit,
+    splitPosition: isSplit ? splitPosition : null,
+  };
+}
+
+/**
+ * Builds a render job from a generated_videos row (`remotion` JSONB, text_alignment,
+ * video_alignment and the split screen columns)
+ * @param {Object} data generated_videos row
+ * @returns {Promise<Object>} Render job (see runRenderPipeline in renderPipeline.js)
+ */
+async function jobFromRow(data) {
+  const remotionData = data.remotion || {};
+
+  const audioOffsetInSeconds = remotionData.audio_offset || 0;
+  // A `clips` array (multi-clip timeline) replaces the template + demo pair
+  const hasClips = Array.isArray(remotionData.clips) && remotionData.clips.length > 0;
+  const demoVideoSource = hasClips ? null : remotionData.demo || null;
+  // `sound` is the music URL or { url, trim_start, trim_end, loop, fit, crossfade }
+  const music = musicFromRow(remotionData.sound);
+
+  const sequentialMode = data.video_alignment === "serial";
+  const pip =
+    data.video_alignment === "pip"
+      ? buildPictureInPicture(remotionData.pip, { fromRow: true })
+      : null;
+  const splitPositions = { side: "right-left", top: "bottom-top" };
+
+  const textPosition = data.text_alignment || "bottom";
+  const captionOptions = remotionData.captions || {};
+  // The trigger request can ask for a draft
+  const videoConfig = applyQuality(
+    buildVideoConfig(remotionData.output),
+    data.quality || remotionData.quality
+  );
+  const outputFormats = buildOutputFormats(remotionData.formats);
+
+  return {
+    titleText: remotionData.caption || "Default Title",
+    textPosition,
+    titleStyle: buildTextStyle(textStyleFromRow(remotionData.text_style)),
+    videoSource: hasClips ? null : remotionData.template || null,
+    demoVideoSource,
+    templateImageOptions: buildImageOptions(remotionData.template_image),
+    demoImageOptions: buildImageOptions(remotionData.demo_image),
+    // Smart reframing: the crop follows the action instead of staying centered
+    templateReframe: buildReframeOptions(reframeFromRow(remotionData.template_reframe)),
+    demoReframe: buildReframeOptions(reframeFromRow(remotionData.demo_reframe)),
+    audioSource: music.url,
+    audioOffsetInSeconds,
+    ...resolveLayout({
+      demoVideoSource,
+      sequentialMode,
+      pip,
+      splitScreen: true, // Any demo without another mode is split screen
+      splitPosition: splitPositions[data.video_alignment] || null,
+    }),
+    pip,
+    splitLayout: buildSplitLayout(splitLayoutFromRow(data)),
+    transition: buildTransition(remotionData.transition || {}),
+    clips: buildClips(remotionData.clips, {
+      fromRow: true,
+      transition: remotionData.transition,
+    }),
+    captions: buildCaptions({
+      transcript: remotionData.transcript,
+      format: remotionData.transcript_format,
+      wordsPerLine: captionOptions.words_per_line,
+      lines: captionOptions.lines,
+      highlightColor: captionOptions.highlight_color,
+      animation: captionOptions.animation,
+      position: captionOptions.position,
+      titlePosition: textPosition,
+      style: textStyleFromRow(captionOptions.style),
+    }),
+    overlays: buildOverlays(remotionData.overlays, { fromRow: true }),
+    branding: await resolveBranding(brandingFromRow(remotionData.branding)),
+    endCard: await buildEndCard(endCardFromRow(remotionData.end_card)),
+    audioMix: buildAudioMix(audioMixFromRow(remotionData.audio)),
+    musicOptions: buildMusicOptions({
+      ...music,
+      trimStart: music.trimStart ?? audioOffsetInSeconds,
+    }),
+    videoConfig,
+    previewOptions: buildPreviewOptions(previewFromRow(remotionData.preview)),
+    outputFormats,
+    hlsOptions: buildHlsOptions(hlsFromRow(remotionData.hls)),
+    fallbackDuration: FALLBACK_DURATION,
+    fallbackFirstVideoDuration: FALLBACK_FIRST_VIDEO_DURATION,
+  };
+}
+
+/**
+ * Builds a render job from a POST /render-video body
+ * @param {Object} body Request body (camelCase)
+ * @returns {Promise<Object>} Render job (see runRenderPipeline in renderPipeline.js)
+ */
+async function jobFromRequest(body) {
+  const audioOffsetInSeconds = body.audioOffsetInSeconds || 0;
+  // A `clips` array (multi-clip timeline) replaces videoSourceUrl / demoVideoSourceUrl
+  const hasClips = Array.isArray(body.clips) && body.clips.length > 0;
+  const demoVideoSource = hasClips ? null : body.demoVideoSourceUrl || null;
+  const soundOptions = body.sound || {};
+
+  // Picture-in-picture with the demo video (takes precedence over splitScreen)
+  const pip = body.pip && !body.sequentialMode ? buildPictureInPicture(body.pip) : null;
+
+  const textPosition = body.textPosition || "bottom";
+  const captionOptions = body.captions || {};
+  const videoConfig = applyQuality(buildVideoConfig(body.output), body.quality);
+  const outputFormats = buildOutputFormats(body.formats);
+
+  return {
+    titleText: body.titleText || "Default Title",
+    textPosition,
+    titleStyle: buildTextStyle(body.textStyle),
+    videoSource: hasClips ? null : body.videoSourceUrl || null,
+    demoVideoSource,
+    templateImageOptions: buildImageOptions(body.templateImage),
+    demoImageOptions: buildImageOptions(body.demoImage),
+    templateReframe: buildReframeOptions(body.templateReframe),
+    demoReframe: buildReframeOptions(body.demoReframe),
+    // enableAudio: false drops the background music
+    audioSource: body.enableAudio === false ? null : body.audioSourceUrl || null,
+    audioOffsetInSeconds,
+    ...resolveLayout({
+      demoVideoSource,
+      sequentialMode: body.sequentialMode === true,
+      pip,
+      splitScreen: body.splitScreen === true,
+      splitPosition: body.splitPosition || null,
+    }),
+    pip,
+    splitLayout: buildSplitLayout({
+      ratio: body.splitRatio,
+      dividerWidth: body.splitDividerWidth,
+      dividerColor: body.splitDividerColor,
+      templateFocus: body.templateFocus,
+      demoFocus: body.demoFocus,
+    }),
+    transition: buildTransition(body.transition || {}),
+    clips: buildClips(body.clips, { transition: body.transition }),
+    captions: buildCaptions({
+      transcript: body.transcript,
+      format: body.transcriptFormat,
+      wordsPerLine: captionOptions.wordsPerLine,
+      lines: captionOptions.lines,
+      highlightColor: captionOptions.highlightColor,
+      animation: captionOptions.animation,
+      position: captionOptions.position,
+      titlePosition: textPosition,
+      style: captionOptions.style,
+    }),
+    overlays: buildOverlays(body.overlays),
+    branding: await resolveBranding(body.branding),
+    endCard: await buildEndCard(body.endCard),
+    audioMix: buildAudioMix(body.audio),
+    musicOptions: buildMusicOptions({
+      ...soundOptions,
+      trimStart: soundOptions.trimStart ?? audioOffsetInSeconds,
+    }),
+    videoConfig,
+    previewOptions: buildPreviewOptions(body.preview),
+    outputFormats,
+    hlsOptions: buildHlsOptions(body.hls),
+    // An explicit length is only used when the source durations cannot be detected
+    fallbackDuration: body.durationInSeconds || FALLBACK_DURATION,
+    fallbackFirstVideoDuration: FALLBACK_FIRST_VIDEO_DURATION,
+  };
+}
+
+module.exports = {
+  jobFromRow,
+  jobFromRequest,
+};
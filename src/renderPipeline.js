@@ -0,0 +1,482 @@
+// Render pipeline shared by the RunPod worker and the Express API: source preparation,
+// duration detection, Remotion render, extra formats, previews, HLS and upload.
+// Where the job status goes is up to a status sink (see libs/supabase/rowStatusSink.js and
+// api/jobStatusSink.js), so both entry points produce the same video for the same job.
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { exec } = require("child_process");
+const { selectComposition, renderMedia } = require("@remotion/renderer");
+const { buildCompositionInput } = require("./compositionInput");
+const { getBundle } = require("./bundleCache");
+const { initializeFileServer, getFileUrl } = require("./fileServer");
+const {
+  uploadOutputs,
+  uploadFolder,
+  uploadPreviews,
+} = require("../libs/supabase/storage");
+const {
+  OUTPUT_FORMATS,
+  hasVideoOutput,
+  getMasterFormat,
+  getRenderOptions,
+  encodeOutputFormats,
+} = require("../libs/outputFormats");
+const { packageHls } = require("../libs/hls");
+const { generatePreviews } = require("../libs/preview");
+const { getReframeTargets, computeCropPath } = require("../libs/reframe");
+const { ensureCompatibleCodec } = require("../libs/transcode");
+const getVideoDuration = require("../libs/utils");
+const { getAudioDuration, probeDuration } = require("../libs/utils");
+const { createProgressReporter } = require("../libs/progressReporter");
+const { getQualitySettings } = require("../libs/outputProfile");
+const { fitTransition } = require("../libs/transitions");
+const { detectMediaType } = require("../libs/mediaType");
+const { planTimeline, mapSegmentsToTimeline } = require("../libs/clips");
+const { planMusicSegments, detectSpeechSegments } = require("../libs/audioMix");
+
+const execPromise = util.promisify(exec);
+
+/**
+ * Deletes local files, logging (not throwing) on failure
+ * @param {string[]} files Paths to delete (missing files are skipped)
+ */
+function cleanupFiles(files) {
+  for (const file of new Set(files)) {
+    try {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+        console.log(`Deleted temporary file: ${file}`);
+      }
+    } catch (err) {
+      console.warn(`Failed to delete temporary file ${file}:`, err);
+    }
+  }
+}
+
+/**
+ * Renders a job and uploads its outputs, reporting its status to a sink.
+ * Sink hooks (all optional):
+ * - onStart(): the job is picked up
+ * - onProgress(snapshot): progress snapshot (see libs/progressReporter.js)
+ * - onComplete(result, job): outputs are uploaded
+ * - onError(error): the job failed (called before the error is rethrown)
+ * - progressThrottleMs: minimum delay between two onProgress calls (default 2000)
+ * @param {Object} options Pipeline options
+ * @param {string} options.id Job ID (used in file names and log lines)
+ * @param {string} options.outputDir Directory for transcoded sources and rendered files
+ * @param {Object} options.sink Status sink
+ * @param {Function} options.buildJob () => Promise<Object> building the render job
+ *   (see jobFromRow / jobFromRequest in renderJob.js); errors are reported to the sink too
+ * @returns {Promise<Object>} { videoUrl, outputs, posterUrl, previewUrl, hlsUrl, quality, job }
+ */
+async function runRenderPipeline({ id, outputDir, sink, buildJob }) {
+  // Track temporary files to clean up later
+  const tempFiles = [];
+
+  try {
+    if (sink.onStart) await sink.onStart();
+
+    const job = await buildJob();
+    const {
+      titleText,
+      textPosition,
+      titleStyle,
+      videoSource,
+      demoVideoSource,
+      audioSource,
+      audioOffsetInSeconds,
+      sequentialMode,
+      pipMode,
+      splitScreen,
+      splitPosition,
+      splitLayout,
+      pip,
+      captions,
+      overlays,
+      branding,
+      endCard,
+      audioMix,
+      musicOptions,
+      videoConfig,
+      previewOptions,
+      outputFormats,
+      hlsOptions,
+    } = job;
+    let { transition, clips } = job;
+
+    const qualitySettings = getQualitySettings(videoConfig);
+    const isDraft = videoConfig.quality === "draft";
+    console.log(
+      `[${id}] Output profile: ${videoConfig.profile} (${videoConfig.width}x${videoConfig.height} @ ${videoConfig.fps}fps, ${videoConfig.quality})`
+    );
+
+    // Default fallback durations in case we can't determine real durations
+    let firstVideoDuration = job.fallbackFirstVideoDuration;
+    let durationInSeconds = job.fallbackDuration;
+
+    // Live progress (phase, percent, ETA) written to the sink
+    const progress = createProgressReporter({
+      throttleMs: sink.progressThrottleMs,
+      onUpdate: (snapshot) => (sink.onProgress ? sink.onProgress(snapshot) : undefined),
+    });
+
+    // Transcoded sources are served to Remotion from the output directory
+    initializeFileServer(outputDir);
+
+    // Process video sources to ensure codec compatibility
+    console.log(`\n[${id}] Ensuring video codec compatibility...`);
+    progress.update("downloading");
+
+    // Still images (JPEG, PNG, WebP) get Ken Burns motion instead of being transcoded
+    const usesDemo = (splitScreen || sequentialMode || pipMode) && demoVideoSource;
+    const templateImage =
+      videoSource && (await detectMediaType(videoSource)) === "image"
+        ? job.templateImageOptions
+        : null;
+    const demoImage =
+      usesDemo && (await detectMediaType(demoVideoSource)) === "image"
+        ? job.demoImageOptions
+        : null;
+    if (templateImage) console.log("Template is a still image:", templateImage);
+    if (demoImage) console.log("Demo is a still image:", demoImage);
+
+    // Each transcoded source gets an equal share of the transcoding phase
+    const templateIsVideo = videoSource && !templateImage;
+    const transcodeCount =
+      (templateIsVideo ? 1 : 0) + (usesDemo && !demoImage ? 1 : 0) + clips.length;
+    const reportTranscode = (index) => (fraction) =>
+      progress.update("transcoding", (index + fraction) / transcodeCount);
+
+    // Process main video
+    let localMainVideoPath = null;
+    const processedVideoSource = await ensureCompatibleCodec(
+      templateIsVideo ? videoSource : null,
+      outputDir,
+      `${id}-main`,
+      { videoConfig, onProgress: reportTranscode(0) }
+    );
+    if (processedVideoSource !== videoSource && processedVideoSource !== null) {
+      console.log(`Main video transcoded to: ${processedVideoSource}`);
+      localMainVideoPath = processedVideoSource;
+      tempFiles.push(processedVideoSource);
+    }
+
+    // Process demo video if needed
+    let localDemoVideoPath = null;
+    if (usesDemo && !demoImage) {
+      const processedDemoSource = await ensureCompatibleCodec(
+        demoVideoSource,
+        outputDir,
+        `${id}-demo`,
+        { videoConfig, onProgress: reportTranscode(templateIsVideo ? 1 : 0) }
+      );
+      if (processedDemoSource !== demoVideoSource && processedDemoSource !== null) {
+        console.log(`Demo video transcoded to: ${processedDemoSource}`);
+        localDemoVideoPath = processedDemoSource;
+        tempFiles.push(processedDemoSource);
+      }
+    }
+
+    // Process every clip of a multi-clip timeline
+    const localClipPaths = [];
+    for (const [index, clip] of clips.entries()) {
+      const processedClip = await ensureCompatibleCodec(
+        clip.url,
+        outputDir,
+        `${id}-clip-${index}`,
+        { videoConfig, onProgress: reportTranscode(index) }
+      );
+      let localClipPath = null;
+      if (processedClip !== clip.url && processedClip !== null) {
+        console.log(`Clip ${index} transcoded to: ${processedClip}`);
+        localClipPath = processedClip;
+        tempFiles.push(processedClip);
+      }
+      localClipPaths.push(localClipPath);
+      clip.src = localClipPath ? getFileUrl(localClipPath) : clip.url;
+    }
+
+    // Get proper URLs for videos using the shared file server
+    const mainVideoUrl = localMainVideoPath ? getFileUrl(localMainVideoPath) : videoSource;
+    const demoVideoUrl = localDemoVideoPath ? getFileUrl(localDemoVideoPath) : demoVideoSource;
+
+    // Determine video durations
+    console.log(`\n[${id}] Detecting video durations...`);
+    // Still images last their configured display duration
+    const mainVideoDuration = templateImage
+      ? templateImage.duration
+      : await getVideoDuration(mainVideoUrl, execPromise);
+    const demoVideoDuration = demoImage
+      ? demoImage.duration
+      : await getVideoDuration(demoVideoUrl, execPromise);
+
+    console.log(
+      `Main video: ${mainVideoDuration || "unknown"} secs, Demo video: ${
+        demoVideoDuration || "unknown"
+      } secs`
+    );
+
+    // Apply the dynamic duration logic based on the requirements
+    if (mainVideoDuration !== null) {
+      // Case 4: If no demo video, use main video duration
+      if (demoVideoSource === null) {
+        durationInSeconds = mainVideoDuration;
+      }
+
+      // Case 3: In sequential mode, firstVideoDuration = main video duration
+      if (sequentialMode) {
+        firstVideoDuration = mainVideoDuration;
+      }
+    }
+
+    if (demoVideoDuration !== null) {
+      // Case 1: If splitPosition is not null, use demo video duration
+      if (splitPosition !== null) {
+        durationInSeconds = demoVideoDuration;
+      }
+
+      // Case 2: In sequential mode, use sum of both video durations minus the transition overlap
+      if (sequentialMode && mainVideoDuration !== null) {
+        transition = fitTransition(transition, mainVideoDuration, demoVideoDuration);
+        durationInSeconds = mainVideoDuration + demoVideoDuration - transition.duration;
+      }
+    }
+
+    // Picture-in-picture: the video filling the frame sets the length
+    if (pipMode) {
+      const fullFrameDuration = pip.main === "template" ? mainVideoDuration : demoVideoDuration;
+      if (fullFrameDuration !== null) {
+        durationInSeconds = fullFrameDuration;
+      }
+    }
+
+    // Multi-clip timeline: each clip starts when the previous one ends (minus the transition)
+    if (clips.length > 0) {
+      // Not rounded, so trims are clamped to the exact end of each source
+      const clipDurations = [];
+      for (const clip of clips) {
+        clipDurations.push(await probeDuration(clip.src, execPromise));
+      }
+      const timeline = planTimeline(clips, clipDurations);
+      clips = timeline.clips;
+      durationInSeconds = timeline.durationInSeconds;
+      console.log(`[Durations] Timeline of ${clips.length} clip(s): ${durationInSeconds} secs`);
+    }
+
+    // The end card plays after the content
+    if (endCard) {
+      durationInSeconds += endCard.duration;
+    }
+
+    // Log the calculated durations
+    console.log(
+      `[Durations] Template: ${firstVideoDuration} secs, Demo: ${durationInSeconds} secs`
+    );
+
+    // Smart reframing: crop paths computed from the prepared sources, for the pane each one
+    // fills, over the composition's length only
+    let templateReframe = null;
+    let demoReframe = null;
+    if (job.templateReframe || job.demoReframe) {
+      if (pipMode || clips.length > 0) {
+        console.warn(`[${id}] Reframing applies to the single, split and sequential layouts only, ignoring it`);
+      } else {
+        const targets = getReframeTargets({ videoConfig, splitScreen, splitPosition, splitLayout });
+        if (job.templateReframe && templateIsVideo) {
+          templateReframe = await computeCropPath(
+            localMainVideoPath || videoSource,
+            job.templateReframe,
+            targets.template,
+            durationInSeconds
+          );
+        }
+        if (job.demoReframe && usesDemo && !demoImage) {
+          demoReframe = await computeCropPath(
+            localDemoVideoPath || demoVideoSource,
+            job.demoReframe,
+            targets.demo,
+            durationInSeconds
+          );
+        }
+      }
+    }
+
+    for (const overlay of overlays) {
+      if (overlay.start >= durationInSeconds) {
+        console.warn(
+          `Overlay "${overlay.text}" starts at ${overlay.start}s, after the video ends (${durationInSeconds}s)`
+        );
+      }
+    }
+
+    // Trim, loop or fit the music to the video length
+    if (audioSource) {
+      const trackDuration = await getAudioDuration(audioSource, execPromise);
+      audioMix.musicSegments = planMusicSegments(musicOptions, {
+        trackDuration,
+        videoDuration: durationInSeconds,
+      });
+    }
+
+    // Duck the music wherever the template voice is speaking
+    if (audioSource && audioMix.ducking.enabled && templateIsVideo) {
+      audioMix.ducking.segments = await detectSpeechSegments(localMainVideoPath || videoSource);
+    }
+
+    // In a multi-clip timeline, duck under the speech of every clip
+    if (audioSource && audioMix.ducking.enabled && clips.length > 0) {
+      for (const [index, clip] of clips.entries()) {
+        const segments = await detectSpeechSegments(localClipPaths[index] || clip.url);
+        audioMix.ducking.segments.push(...mapSegmentsToTimeline(segments, clip));
+      }
+    }
+
+    // Pick the registered composition and build its input props
+    const { compositionId, inputProps } = buildCompositionInput({
+      titleText,
+      durationInSeconds,
+      videoConfig,
+      audioOffsetInSeconds,
+      textPosition,
+      titleStyle,
+      videoSource: mainVideoUrl,
+      audioSource,
+      enableAudio: audioSource !== null,
+      audioMix,
+      splitScreen,
+      demoVideoSource: demoVideoUrl,
+      templateImage,
+      demoImage,
+      templateReframe,
+      demoReframe,
+      splitPosition,
+      splitLayout,
+      sequentialMode,
+      firstVideoDuration,
+      transition,
+      clips,
+      pip,
+      captions,
+      overlays,
+      branding,
+      endCard,
+    });
+
+    console.log(`\n[${id}] Using composition:`, compositionId);
+
+    // Remotion renders a single master file the other formats are encoded from
+    const masterFormat = getMasterFormat(outputFormats);
+    const isMaster = outputFormats.length > 1;
+
+    // Generate a unique filename with the extension of the master format
+    const outputFilename = `video-${id}-${Date.now()}.${OUTPUT_FORMATS[masterFormat].extension}`;
+    const outputPath = path.resolve(outputDir, outputFilename);
+    tempFiles.push(outputPath);
+
+    // Reuse the shared Remotion bundle (rebuilt only when the Remotion sources change)
+    progress.update("bundling");
+    const bundled = await getBundle();
+
+    // Resolve the composition with this job's props (duration via calculateMetadata)
+    const composition = await selectComposition({
+      serveUrl: bundled,
+      id: compositionId,
+      inputProps,
+    });
+
+    console.log(`[${id}] Starting render (${masterFormat})...`);
+    await renderMedia({
+      composition,
+      serveUrl: bundled,
+      inputProps,
+      ...getRenderOptions(masterFormat, qualitySettings, isMaster),
+      scale: qualitySettings.scale, // Drafts render at half resolution
+      outputLocation: outputPath,
+      timeoutInMilliseconds: 900000, // 15 minutes overall timeout
+      concurrency: 1,
+      onProgress: (renderProgress) => {
+        progress.update("rendering", renderProgress.progress);
+
+        // Log every 25% for debugging
+        const percent = Math.floor(renderProgress.progress * 100);
+        if (percent % 25 === 0 && percent > 0 && renderProgress.renderedFrames) {
+          process.stdout.write(`\rRendering progress video ${id}: ${percent}%`);
+        }
+      },
+    });
+    process.stdout.write("\nRendering completed.\n");
+
+    // Encode the other requested formats from the master
+    const outputs = await encodeOutputFormats(outputPath, masterFormat, outputFormats);
+    tempFiles.push(...outputs.map((output) => output.path));
+
+    console.log(`[${id}] Video rendered successfully. Uploading to Supabase...`);
+
+    // Upload the rendered outputs to Supabase storage
+    progress.update("uploading");
+    const outputUrls = await uploadOutputs(outputs, qualitySettings.storagePrefix);
+    const videoUrl = outputUrls[outputFormats[0]];
+    console.log(`[${id}] Video uploaded to Supabase:`, videoUrl);
+
+    const result = {
+      videoUrl,
+      outputs: outputUrls,
+      posterUrl: null,
+      previewUrl: null,
+      hlsUrl: null,
+      quality: videoConfig.quality,
+    };
+
+    // Drafts only get the video itself
+    if (!isDraft) {
+      // Poster and animated preview, uploaded next to the video (audio-only jobs have none)
+      if (hasVideoOutput(outputFormats)) {
+        const previewFiles = await generatePreviews(outputPath, previewOptions, durationInSeconds);
+        Object.assign(result, await uploadPreviews(previewFiles));
+      }
+
+      // HLS ladder uploaded under a per-job folder, next to the video
+      if (hlsOptions) {
+        const hlsDir = path.resolve(outputDir, `hls-${id}`);
+        try {
+          const masterPath = await packageHls(outputPath, hlsDir, hlsOptions, videoConfig);
+          const hlsUrls = await uploadFolder(hlsDir, `hls/${id}`);
+          result.hlsUrl = hlsUrls[path.basename(masterPath)];
+          console.log(`[${id}] HLS playlist uploaded to Supabase:`, result.hlsUrl);
+        } finally {
+          fs.rmSync(hlsDir, { recursive: true, force: true });
+        }
+      }
+    }
+
+    progress.update("uploading", 1);
+    await progress.flush();
+
+    if (sink.onComplete) await sink.onComplete(result, job);
+
+    // Clean up the local outputs and all temporary transcoded files
+    cleanupFiles(tempFiles);
+
+    return { ...result, job };
+  } catch (error) {
+    console.error(`[${id}] Error in video generation:`, error);
+
+    // Clean up any temporary files if an error occurred
+    cleanupFiles(tempFiles);
+
+    if (sink.onError) {
+      try {
+        await sink.onError(error);
+      } catch (sinkError) {
+        console.error(`[${id}] Failed to report the error:`, sinkError);
+      }
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  runRenderPipeline,
+};
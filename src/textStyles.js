@@ -0,0 +1,156 @@
+// Text style presets shared by every layout (titles, captions) and by the Node
+// side, which merges per-job overrides (checked by the payload schema) over them
+
+const TEXT_STYLE_PRESETS = {
+  // Bold white text with a hard black outline (the original title look)
+  outline: {
+    fontFamily: "Inter, sans-serif",
+    fontWeight: 700,
+    fontSize: 64,
+    color: "#FFFFFF",
+    strokeColor: "#000000",
+    strokeWidth: 4,
+    backgroundColor: null,
+    borderRadius: 0,
+    gradient: null,
+    highlight: "color",
+    highlightColor: "#FFE600",
+    maxWidth: 90,
+  },
+  // White text on a translucent dark box
+  boxed: {
+    fontFamily: "Inter, sans-serif",
+    fontWeight: 700,
+    fontSize: 60,
+    color: "#FFFFFF",
+    strokeColor: "#000000",
+    strokeWidth: 0,
+    backgroundColor: "rgba(0, 0, 0, 0.75)",
+    borderRadius: 16,
+    gradient: null,
+    highlight: "color",
+    highlightColor: "#FFE600",
+    maxWidth: 85,
+  },
+  // Outlined text; titles and the active caption word sit on a colored pill
+  pill: {
+    fontFamily: "Inter, sans-serif",
+    fontWeight: 800,
+    fontSize: 64,
+    color: "#FFFFFF",
+    strokeColor: "#000000",
+    strokeWidth: 4,
+    backgroundColor: null,
+    borderRadius: 999,
+    gradient: null,
+    highlight: "pill",
+    highlightColor: "#FFE600",
+    maxWidth: 90,
+  },
+  // Gradient-filled text with a soft dark outline
+  gradient: {
+    fontFamily: "Inter, sans-serif",
+    fontWeight: 800,
+    fontSize: 68,
+    color: "#FFFFFF",
+    strokeColor: "rgba(0, 0, 0, 0.6)",
+    strokeWidth: 3,
+    backgroundColor: null,
+    borderRadius: 0,
+    gradient: ["#FFE259", "#FFA751", "#FF5E62"],
+    highlight: "color",
+    highlightColor: "#FFFFFF",
+    maxWidth: 90,
+  },
+};
+
+const DEFAULT_TEXT_STYLE_PRESET = "outline";
+
+// Fields a job may override on top of its preset
+const TEXT_STYLE_OVERRIDES = [
+  "fontFamily",
+  "fontSize",
+  "color",
+  "strokeColor",
+  "strokeWidth",
+  "backgroundColor",
+  "highlightColor",
+  "maxWidth",
+];
+
+/**
+ * Picks a job's text style preset and drops unset overrides
+ * @param {Object} [options] Text style
+ * @param {string} [options.preset] outline, boxed, pill or gradient
+ * @param {string} [options.fontFamily] CSS font family
+ * @param {number} [options.fontSize] Font size in px (text shrinks below it to fit)
+ * @param {string} [options.color] Text color
+ * @param {string} [options.strokeColor] Outline color
+ * @param {number} [options.strokeWidth] Outline width in px (0 disables it)
+ * @param {string} [options.backgroundColor] Background box color
+ * @param {string} [options.highlightColor] Pill / active caption word color
+ * @param {number} [options.maxWidth] Maximum text width in % of the frame width
+ * @returns {Object} Text style ({ preset, ...overrides })
+ */
+function buildTextStyle(options) {
+  if (!options) return { preset: DEFAULT_TEXT_STYLE_PRESET };
+
+  const style = { preset: options.preset || DEFAULT_TEXT_STYLE_PRESET };
+  for (const key of TEXT_STYLE_OVERRIDES) {
+    if (options[key] !== undefined && options[key] !== null) {
+      style[key] = options[key];
+    }
+  }
+
+  return style;
+}
+
+/**
+ * Maps a snake_case text style from the generated_videos row to buildTextStyle options
+ * @param {Object} [raw] e.g. { preset, font_family, font_size, stroke_color, ... }
+ * @returns {Object} camelCase text style options
+ */
+function textStyleFromRow(raw) {
+  if (!raw) return {};
+
+  return {
+    preset: raw.preset,
+    fontFamily: raw.font_family,
+    fontSize: raw.font_size,
+    color: raw.color,
+    strokeColor: raw.stroke_color,
+    strokeWidth: raw.stroke_width,
+    backgroundColor: raw.background_color,
+    highlightColor: raw.highlight_color,
+    maxWidth: raw.max_width,
+  };
+}
+
+/**
+ * Merges a job's text style over its preset
+ * @param {Object} [style] Text style from buildTextStyle (null for the default preset)
+ * @returns {Object} Fully resolved style
+ */
+function resolveTextStyle(style) {
+  const overrides = style ?? {};
+  const preset =
+    TEXT_STYLE_PRESETS[overrides.preset] ||
+    TEXT_STYLE_PRESETS[DEFAULT_TEXT_STYLE_PRESET];
+  const resolved = { ...preset };
+
+  for (const key of TEXT_STYLE_OVERRIDES) {
+    if (overrides[key] !== undefined && overrides[key] !== null) {
+      resolved[key] = overrides[key];
+    }
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  TEXT_STYLE_PRESETS,
+  DEFAULT_TEXT_STYLE_PRESET,
+  buildTextStyle,
+  textStyleFromRow,
+  resolveTextStyle,
+};
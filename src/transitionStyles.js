@@ -0,0 +1,63 @@
+// Styles of the clips on either side of a transition (see TRANSITION_TYPES in constants.js)
+
+// Offset (in % of the frame) of each direction, i.e. where the incoming clip moves to
+const DIRECTION_VECTORS = {
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+};
+
+/**
+ * Styles of the outgoing and incoming clips during a transition
+ * @param {Object} transition Transition ({ type, duration, direction })
+ * @param {number} progress 0 = only the outgoing clip, 1 = only the incoming clip
+ * @returns {{outgoing: Object, incoming: Object}} Style objects
+ */
+export const getTransitionStyles = (transition, progress) => {
+  const { x, y } = DIRECTION_VECTORS[transition.direction] || DIRECTION_VECTORS.left;
+  const translate = (amount) =>
+    `translate(${x * amount * 100}%, ${y * amount * 100}%)`;
+
+  switch (transition.type) {
+    case "crossfade":
+      return { outgoing: {}, incoming: { opacity: progress } };
+    case "slide":
+      return {
+        outgoing: { transform: translate(progress) },
+        incoming: { transform: translate(progress - 1) },
+      };
+    case "wipe": {
+      // The incoming clip is revealed from the edge opposite to the direction
+      const hidden = `${(1 - progress) * 100}%`;
+      const insets = {
+        left: `inset(0 0 0 ${hidden})`,
+        right: `inset(0 ${hidden} 0 0)`,
+        up: `inset(${hidden} 0 0 0)`,
+        down: `inset(0 0 ${hidden} 0)`,
+      };
+      return {
+        outgoing: {},
+        incoming: { clipPath: insets[transition.direction] || insets.left },
+      };
+    }
+    case "zoom-through":
+      return {
+        outgoing: {
+          transform: `scale(${1 + progress * 1.5})`,
+          opacity: 1 - progress,
+        },
+        incoming: { transform: `scale(${0.6 + 0.4 * progress})`, opacity: progress },
+      };
+    case "whip-pan": {
+      // Motion blur peaks halfway through the pan
+      const blur = `blur(${Math.sin(progress * Math.PI) * 30}px)`;
+      return {
+        outgoing: { transform: translate(progress), filter: blur },
+        incoming: { transform: translate(progress - 1), filter: blur },
+      };
+    }
+    default:
+      return { outgoing: {}, incoming: {} };
+  }
+};
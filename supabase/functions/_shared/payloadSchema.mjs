@@ -0,0 +1,792 @@
+// Versioned schema of the video generation payload, shared by the trigger-runpod-worker edge
+// function (Deno), the RunPod handler and the Express API (Node, through libs/payloadSchema.js).
+// Plain ES module (its only import is the shared payloadValues.json) so every entry point
+// enforces exactly the same rules.
+//
+// Two dialects describe the same job:
+// - "row": the generated_videos row sent to the worker (snake_case `remotion` JSONB plus
+//   text_alignment, video_alignment and the split screen columns)
+// - "api": the camelCase body of POST /render-video
+//
+// Nested settings (audio, captions, overlays...) are described once with camelCase field
+// names; the row dialect uses the same names in snake_case. Every field is checked here
+// (type, allowed values, range), so the builders in libs/ only apply defaults.
+
+import PAYLOAD_VALUES from "./payloadValues.json" with { type: "json" };
+
+export const CURRENT_SCHEMA_VERSION = 1;
+export const SUPPORTED_SCHEMA_VERSIONS = [1];
+
+// Machine-readable error codes: `invalid_payload` for the whole payload, the others per field
+export const PAYLOAD_ERROR_CODE = "invalid_payload";
+export const ERROR_CODES = {
+  unsupportedVersion: "unsupported_version",
+  missingField: "missing_field",
+  unknownField: "unknown_field",
+  invalidType: "invalid_type",
+  invalidValue: "invalid_value",
+  invalidUrl: "invalid_url",
+  outOfRange: "out_of_range",
+};
+
+// Allowed values, shared with the Node side (src/constants.js and libs/)
+const {
+  textPositions: TEXT_POSITIONS,
+  renderQualities: RENDER_QUALITIES,
+  outputFormats: OUTPUT_FORMATS,
+  audioOnlyFormats: AUDIO_ONLY_FORMATS,
+  textStylePresets: TEXT_STYLE_PRESETS,
+  captionAnimations: CAPTION_ANIMATIONS,
+  transcriptFormats: TRANSCRIPT_FORMATS,
+  overlayAnimations: OVERLAY_ANIMATIONS,
+  transitionTypes: TRANSITION_TYPES,
+  transitionDirections: TRANSITION_DIRECTIONS,
+  clipLayouts: CLIP_LAYOUTS,
+  corners: CORNERS,
+  pipMainVideos: PIP_MAIN_VIDEOS,
+  pipShapes: PIP_SHAPES,
+  kenBurnsMotions: KEN_BURNS_MOTIONS,
+  previewFormats: PREVIEW_FORMATS,
+  videoAlignments: VIDEO_ALIGNMENTS,
+  splitPositions: SPLIT_POSITIONS,
+} = PAYLOAD_VALUES;
+const OUTPUT_PROFILES = [...Object.keys(PAYLOAD_VALUES.outputProfiles), "custom"];
+const HLS_RENDITIONS = Object.keys(PAYLOAD_VALUES.hlsRenditionBitrates).map(Number);
+
+// Field specs: `type` is a type name or a list of accepted types. `values` applies to strings
+// and array items, `min`/`max` (`exclusiveMin`, `integer`, `even`) to numbers, `fields` to
+// objects (strict unless `strict: false`) and `items` to array items. `rules` are checks
+// across the fields of an object. A field with `dialect` only exists in that dialect.
+const url = { type: "url" };
+const string = { type: "string" };
+const text = { type: "string", nonEmpty: true };
+const boolean = { type: "boolean" };
+const seconds = { type: "number", min: 0 };
+const positive = { type: "number", min: 0, exclusiveMin: true };
+const pixels = { type: "number", min: 0 };
+const range = (min, max) => ({ type: "number", min, max });
+const percent = range(0, 100);
+const oneOf = (values) => ({ type: "string", values });
+const section = (fields, rules) => ({ type: "object", fields, rules });
+const required = (spec) => ({ ...spec, required: true });
+// Array items cannot be null
+const list = (items, options) => ({ type: "array", items: required(items), ...options });
+
+/**
+ * Path of a field inside a section
+ * @param {string} path Section path ("" at the top level)
+ * @param {string} name Field name
+ * @returns {string} Field path
+ */
+function join(path, name) {
+  return path ? `${path}.${name}` : name;
+}
+
+/**
+ * Rule: a time field must come after another one (e.g. end after start)
+ * @param {string} endName Later field (camelCase)
+ * @param {string} startName Earlier field (camelCase), 0 when unset
+ * @returns {Function} Section rule
+ */
+function isAfter(endName, startName) {
+  return (value, path, key) => {
+    const end = value[key(endName)];
+    const start = value[key(startName)] ?? 0;
+    if (typeof end !== "number" || typeof start !== "number" || end > start) return null;
+
+    const endPath = join(path, key(endName));
+    return {
+      path: endPath,
+      code: ERROR_CODES.invalidValue,
+      message: `${endPath} must be after ${key(startName)} (${start}), got ${end}`,
+      received: end,
+    };
+  };
+}
+
+// Point of the frame or of a video in %
+const point = section({ x: required(percent), y: required(percent) });
+const focus = section({ x: percent, y: percent });
+// A preset position or { x, y }
+const placement = (values) => ({ type: ["string", "object"], values, fields: point.fields });
+
+const textStyle = section({
+  preset: oneOf(TEXT_STYLE_PRESETS),
+  fontFamily: string,
+  fontSize: positive,
+  color: string,
+  strokeColor: string,
+  strokeWidth: pixels,
+  backgroundColor: string,
+  highlightColor: string,
+  maxWidth: { ...positive, max: 100 },
+});
+
+const image = section({
+  duration: positive,
+  motion: oneOf(KEN_BURNS_MOTIONS),
+  zoom: range(1, 2),
+});
+
+// Custom frame sizes must be even for H.264
+const dimension = { type: "number", integer: true, even: true, min: 16, max: 4096 };
+const output = section(
+  {
+    profile: oneOf(OUTPUT_PROFILES),
+    width: dimension,
+    height: dimension,
+    fps: range(1, 60),
+  },
+  [
+    (value, path, key) =>
+      value[key("profile")] === "custom"
+        ? ["width", "height"]
+            .filter((name) => value[key(name)] == null)
+            .map((name) => ({
+              path: join(path, key(name)),
+              code: ERROR_CODES.missingField,
+              message: `${join(path, key(name))} is required when the profile is custom`,
+            }))
+        : null,
+  ]
+);
+
+const transition = section({
+  type: oneOf(TRANSITION_TYPES),
+  duration: { ...positive, max: 3 },
+  direction: oneOf(TRANSITION_DIRECTIONS),
+});
+
+const clip = section(
+  {
+    url: required(url),
+    trimIn: seconds,
+    trimOut: seconds,
+    speed: range(0.25, 4),
+    layout: oneOf(CLIP_LAYOUTS),
+    transition,
+  },
+  [isAfter("trimOut", "trimIn")]
+);
+
+const overlay = section(
+  {
+    text: required(text),
+    start: required(seconds),
+    end: required(seconds),
+    position: placement(TEXT_POSITIONS),
+    style: textStyle,
+    enter: oneOf(OVERLAY_ANIMATIONS),
+    exit: oneOf(OVERLAY_ANIMATIONS),
+    animationDuration: seconds,
+  },
+  [isAfter("end", "start")]
+);
+
+const captions = section({
+  wordsPerLine: { type: "number", integer: true, min: 1 },
+  lines: { type: "number", integer: true, min: 1 },
+  highlightColor: string,
+  animation: oneOf(CAPTION_ANIMATIONS),
+  position: oneOf(TEXT_POSITIONS),
+  style: textStyle,
+});
+
+const volume = range(0, 2);
+const audio = section({
+  templateVolume: volume,
+  demoVolume: volume,
+  musicVolume: volume,
+  musicFadeIn: seconds,
+  musicFadeOut: seconds,
+  musicOnly: boolean,
+  ducking: boolean,
+  duckedVolume: range(0, 1),
+  duckAttack: seconds,
+  duckRelease: seconds,
+});
+
+// The API passes the music URL as audioSourceUrl, the row inside `sound`
+const soundFields = {
+  url: { ...url, dialect: "row" },
+  trimStart: seconds,
+  trimEnd: seconds,
+  loop: boolean,
+  fit: boolean,
+  crossfade: seconds,
+};
+
+/**
+ * Rule: the music must end after it starts (its start defaults to the audio offset)
+ * @param {string} soundName Field holding the music options
+ * @param {string} offsetName Field holding the audio offset
+ * @returns {Function} Section rule
+ */
+function musicEndsAfterStart(soundName, offsetName) {
+  return (value, path, key) => {
+    const sound = value[soundName];
+    if (typeOf(sound) !== "object") return null;
+    return isAfter("trimEnd", "trimStart")(
+      { ...sound, [key("trimStart")]: sound[key("trimStart")] ?? value[offsetName] },
+      join(path, soundName),
+      key
+    );
+  };
+}
+
+const keyframe = section(
+  {
+    time: required(seconds),
+    corner: oneOf(CORNERS),
+    x: percent,
+    y: percent,
+  },
+  [
+    (value, path) =>
+      value.corner == null && (value.x == null || value.y == null)
+        ? {
+            path: join(path, "corner"),
+            code: ERROR_CODES.missingField,
+            message: `${path} needs a corner or both x and y`,
+          }
+        : null,
+  ]
+);
+
+const pip = section(
+  {
+    main: oneOf(PIP_MAIN_VIDEOS),
+    corner: oneOf(CORNERS),
+    size: range(10, 60),
+    shape: oneOf(PIP_SHAPES),
+    margin: range(0, 20),
+    borderWidth: pixels,
+    borderColor: string,
+    shadow: boolean,
+    keyframes: list(keyframe),
+  },
+  [
+    // Two keyframes at the same time would make the bubble jump
+    (value, path) => {
+      if (!Array.isArray(value.keyframes)) return null;
+      const times = value.keyframes.map((item) => item && item.time);
+      const index = times.findIndex(
+        (time, position) => typeof time === "number" && times.indexOf(time) < position
+      );
+      if (index === -1) return null;
+
+      const timePath = `${join(path, "keyframes")}[${index}].time`;
+      return {
+        path: timePath,
+        code: ERROR_CODES.invalidValue,
+        message: `${timePath} is the time of another keyframe (${times[index]})`,
+        received: times[index],
+      };
+    },
+  ]
+);
+
+const branding = section({
+  brandId: { type: ["string", "number"] },
+  logoUrl: url,
+  position: placement(CORNERS),
+  size: range(2, 50),
+  opacity: range(0, 1),
+  margin: range(0, 20),
+  fadeIn: range(0, 10),
+});
+
+const END_CARD_CONTENT = ["headline", "ctaText", "productImage", "qrUrl"];
+const endCard = section(
+  {
+    headline: string,
+    ctaText: string,
+    productImage: url,
+    qrUrl: text,
+    backgroundColor: string,
+    textColor: string,
+    accentColor: string,
+    duration: range(1, 15),
+  },
+  [
+    (value, path, key) =>
+      END_CARD_CONTENT.some((name) => value[key(name)])
+        ? null
+        : {
+            path,
+            code: ERROR_CODES.missingField,
+            message: `${path} needs at least one of: ${END_CARD_CONTENT.map(key).join(", ")}`,
+          },
+  ]
+);
+
+const preview = section({
+  poster: boolean,
+  posterTime: { type: ["number", "string"], min: 0, values: ["auto"] },
+  animated: boolean,
+  format: oneOf(PREVIEW_FORMATS),
+  start: seconds,
+  duration: range(1, 10),
+  width: range(120, 1080),
+  fps: range(5, 30),
+});
+
+// Smart reframing: true for the defaults, or the settings
+const reframe = {
+  type: ["boolean", "object"],
+  fields: {
+    smoothing: range(0, 5),
+    maxSpeed: range(0.05, 5),
+    sceneThreshold: range(0.05, 1),
+  },
+};
+
+// true for the defaults, or the settings
+const hls = {
+  type: ["boolean", "object"],
+  fields: {
+    renditions: { type: "array", values: HLS_RENDITIONS, nonEmpty: true },
+    segmentDuration: range(1, 10),
+  },
+};
+
+const formats = { type: ["string", "array"], values: OUTPUT_FORMATS, nonEmpty: true };
+
+/**
+ * Rule: HLS packages the video, so at least one requested format must have one
+ * @param {string} hlsName Field holding the HLS settings
+ * @param {string} formatsName Field holding the output formats (mp4 when unset)
+ * @returns {Function} Section rule
+ */
+function hlsNeedsVideo(hlsName, formatsName) {
+  return (value, path) => {
+    const requested = [value[formatsName] ?? "mp4"].flat();
+    const videoless =
+      requested.length > 0 && requested.every((format) => AUDIO_ONLY_FORMATS.includes(format));
+    if (!value[hlsName] || !videoless) {
+      return null;
+    }
+    return {
+      path: join(path, hlsName),
+      code: ERROR_CODES.invalidValue,
+      message: `${join(path, hlsName)} needs a video output format, got only ${requested.join(", ")}`,
+    };
+  };
+}
+
+// Split ratio: the template's share in % (20-80) or "template/demo" like "60/40"
+const splitRatio = {
+  type: ["number", "string"],
+  check: (value) => {
+    let share = Number(value);
+    if (typeof value === "string" && value.includes("/")) {
+      const [first, second] = value.split("/").map(Number);
+      share = (first / (first + second)) * 100;
+    }
+    return Number.isFinite(share) && share >= 20 && share <= 80
+      ? null
+      : "must be between 20 and 80 (% for the template) or like \"60/40\"";
+  },
+};
+
+/**
+ * Fields of each dialect. Sections reject unknown fields (typos), except the row itself
+ * since generated_videos has many other columns.
+ */
+const SCHEMAS = {
+  1: {
+    row: {
+      strict: false,
+      fields: {
+        text_alignment: oneOf(TEXT_POSITIONS),
+        video_alignment: oneOf(VIDEO_ALIGNMENTS),
+        quality: oneOf(RENDER_QUALITIES),
+        split_ratio: splitRatio,
+        split_divider_width: range(0, 200),
+        split_divider_color: string,
+        template_focus: focus,
+        demo_focus: focus,
+        remotion: {
+          type: "object",
+          required: true,
+          fields: {
+            schema_version: { type: "number" },
+            template: url,
+            demo: url,
+            template_image: image,
+            demo_image: image,
+            template_reframe: reframe,
+            demo_reframe: reframe,
+            clips: list(clip),
+            caption: string,
+            text_style: textStyle,
+            audio_offset: seconds,
+            sound: { type: ["url", "object"], fields: soundFields },
+            audio,
+            transcript: { type: ["string", "array", "object"] },
+            transcript_format: oneOf(TRANSCRIPT_FORMATS),
+            captions,
+            overlays: list(overlay),
+            output,
+            transition,
+            pip,
+            branding,
+            end_card: endCard,
+            preview,
+            formats,
+            hls,
+            quality: oneOf(RENDER_QUALITIES),
+          },
+          rules: [musicEndsAfterStart("sound", "audio_offset"), hlsNeedsVideo("hls", "formats")],
+        },
+      },
+    },
+    api: {
+      strict: true,
+      fields: {
+        schemaVersion: { type: "number" },
+        videoSourceUrl: url,
+        demoVideoSourceUrl: url,
+        audioSourceUrl: url,
+        templateImage: image,
+        demoImage: image,
+        templateReframe: reframe,
+        demoReframe: reframe,
+        clips: list(clip),
+        titleText: string,
+        textPosition: oneOf(TEXT_POSITIONS),
+        textStyle,
+        durationInSeconds: { type: "number", min: 0.1 },
+        audioOffsetInSeconds: seconds,
+        enableAudio: boolean,
+        sequentialMode: boolean,
+        splitScreen: boolean,
+        splitPosition: oneOf(SPLIT_POSITIONS),
+        splitRatio,
+        splitDividerWidth: range(0, 200),
+        splitDividerColor: string,
+        templateFocus: focus,
+        demoFocus: focus,
+        sound: section(soundFields),
+        audio,
+        transcript: { type: ["string", "array", "object"] },
+        transcriptFormat: oneOf(TRANSCRIPT_FORMATS),
+        captions,
+        overlays: list(overlay),
+        output,
+        transition,
+        pip,
+        branding,
+        endCard,
+        preview,
+        formats,
+        hls,
+        quality: oneOf(RENDER_QUALITIES),
+      },
+      rules: [
+        // A split screen needs to know which side each video goes to
+        (payload) =>
+          payload.splitScreen === true && payload.splitPosition == null
+            ? {
+                path: "splitPosition",
+                code: ERROR_CODES.missingField,
+                message: `splitPosition is required when splitScreen is true (one of: ${SPLIT_POSITIONS.join(", ")})`,
+              }
+            : null,
+        musicEndsAfterStart("sound", "audioOffsetInSeconds"),
+        hlsNeedsVideo("hls", "formats"),
+      ],
+    },
+  },
+};
+
+// Field names of each dialect, from the camelCase names of the nested sections
+const DIALECT_KEYS = {
+  row: (name) => name.replace(/[A-Z]/g, (char) => `_${char.toLowerCase()}`),
+  api: (name) => name,
+};
+
+/**
+ * Type name of a value as used in error messages
+ * @param {*} value Value
+ * @returns {string} array, null, object, string, number or boolean
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Whether a value matches a field type
+ * @param {*} value Value
+ * @param {string} type url, string, number, boolean, object or array
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  if (type === "url") return typeof value === "string";
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Closest known field name, to suggest a fix for a typo
+ * @param {string} name Unknown field
+ * @param {string[]} known Known fields
+ * @returns {string|null} Suggestion, or null when nothing is close
+ */
+function suggestField(name, known) {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(
+          row[j] + 1,
+          row[j - 1] + 1,
+          previous + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+        );
+        previous = current;
+      }
+    }
+    return row[b.length];
+  };
+
+  let best = null;
+  for (const candidate of known) {
+    const score = distance(name, candidate);
+    if (score <= Math.max(2, Math.floor(candidate.length / 3)) && (!best || score < best.score)) {
+      best = { candidate, score };
+    }
+  }
+  return best ? best.candidate : null;
+}
+
+/**
+ * Validates one field value against its spec
+ * @param {*} value Value (null and undefined are treated as unset)
+ * @param {Object} spec Field spec
+ * @param {string} path Path of the field used in errors (e.g. "remotion.template")
+ * @param {Object} context Validation context ({ errors, dialect, key })
+ */
+function validateField(value, spec, path, context) {
+  const { errors } = context;
+  if (value === undefined || value === null) {
+    if (spec.required) {
+      errors.push({ path, code: ERROR_CODES.missingField, message: `${path} is required` });
+    }
+    return;
+  }
+
+  const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+  const type = types.find((candidate) => matchesType(value, candidate));
+  if (!type) {
+    errors.push({
+      path,
+      code: ERROR_CODES.invalidType,
+      message: `${path} must be of type ${types.join(" or ")}, got ${typeOf(value)}`,
+      expected: types,
+      received: typeOf(value),
+    });
+    return;
+  }
+
+  if (type === "url" && !/^(https?:\/\/|file:\/\/|\/)/.test(value.trim())) {
+    errors.push({
+      path,
+      code: ERROR_CODES.invalidUrl,
+      message: `${path} must be an http(s) URL or an absolute path`,
+      received: value,
+    });
+    return;
+  }
+
+  if (spec.nonEmpty && (type === "array" ? value.length === 0 : !String(value).trim())) {
+    errors.push({ path, code: ERROR_CODES.invalidValue, message: `${path} must not be empty` });
+    return;
+  }
+
+  if (spec.values && (type === "string" || type === "array")) {
+    const items = type === "array" ? value : [value];
+    items.forEach((item, index) => {
+      if (!spec.values.includes(item)) {
+        const itemPath = type === "array" ? `${path}[${index}]` : path;
+        errors.push({
+          path: itemPath,
+          code: ERROR_CODES.invalidValue,
+          message: `${itemPath} must be one of: ${spec.values.join(", ")}, got ${JSON.stringify(item)}`,
+          expected: spec.values,
+          received: item,
+        });
+      }
+    });
+  }
+
+  if (type === "number") {
+    validateNumber(value, spec, path, errors);
+  }
+
+  if (spec.check) {
+    const problem = spec.check(value);
+    if (problem) {
+      errors.push({ path, code: ERROR_CODES.invalidValue, message: `${path} ${problem}`, received: value });
+    }
+  }
+
+  if (type === "array" && spec.items) {
+    value.forEach((item, index) => validateField(item, spec.items, `${path}[${index}]`, context));
+  }
+
+  if (type === "object" && spec.fields) {
+    validateSection(value, spec, path, context);
+  }
+}
+
+/**
+ * Checks the bounds of a number field
+ * @param {number} value Number
+ * @param {Object} spec Field spec ({ min, max, exclusiveMin, integer, even })
+ * @param {string} path Path of the field
+ * @param {Object[]} errors Errors found so far
+ */
+function validateNumber(value, spec, path, errors) {
+  if (spec.integer && !Number.isInteger(value)) {
+    errors.push({
+      path,
+      code: ERROR_CODES.invalidValue,
+      message: `${path} must be an integer, got ${value}`,
+      received: value,
+    });
+    return;
+  }
+  if (spec.even && value % 2 !== 0) {
+    errors.push({
+      path,
+      code: ERROR_CODES.invalidValue,
+      message: `${path} must be even, got ${value}`,
+      received: value,
+    });
+    return;
+  }
+
+  const { min, max, exclusiveMin } = spec;
+  const tooLow = min !== undefined && (exclusiveMin ? value <= min : value < min);
+  const tooHigh = max !== undefined && value > max;
+  if (!tooLow && !tooHigh) return;
+
+  let bounds;
+  if (max === undefined) bounds = `${exclusiveMin ? ">" : ">="} ${min}`;
+  else if (min === undefined) bounds = `<= ${max}`;
+  else bounds = exclusiveMin ? `> ${min} and <= ${max}` : `between ${min} and ${max}`;
+  errors.push({
+    path,
+    code: ERROR_CODES.outOfRange,
+    message: `${path} must be ${bounds}, got ${value}`,
+    received: value,
+  });
+}
+
+/**
+ * Validates the fields of an object section
+ * @param {Object} value Object
+ * @param {Object} section Section spec ({ fields, strict, rules }); nested sections are strict
+ *   unless `strict: false`
+ * @param {string} path Path of the section ("" for the payload itself)
+ * @param {Object} context Validation context ({ errors, dialect, key })
+ */
+function validateSection(value, section, path, context) {
+  const { errors, dialect, key } = context;
+  const fields = Object.entries(section.fields)
+    .filter(([, spec]) => !spec.dialect || spec.dialect === dialect)
+    .map(([name, spec]) => [key(name), spec]);
+
+  for (const [name, spec] of fields) {
+    validateField(value[name], spec, join(path, name), context);
+  }
+
+  for (const rule of section.rules || []) {
+    errors.push(...[rule(value, path, key)].flat().filter(Boolean));
+  }
+
+  if (section.strict === false) return;
+  const known = fields.map(([name]) => name);
+  for (const name of Object.keys(value)) {
+    if (known.includes(name)) continue;
+    const suggestion = suggestField(name, known);
+    errors.push({
+      path: join(path, name),
+      code: ERROR_CODES.unknownField,
+      message: suggestion
+        ? `Unknown field ${join(path, name)} (did you mean ${join(path, suggestion)}?)`
+        : `Unknown field ${join(path, name)}`,
+      ...(suggestion ? { suggestion: join(path, suggestion) } : {}),
+    });
+  }
+}
+
+/**
+ * Validates a video generation payload
+ * @param {Object} payload generated_videos row (dialect "row") or POST /render-video body ("api")
+ * @param {Object} [options] Options
+ * @param {string} [options.dialect="row"] row or api
+ * @returns {{valid: boolean, version: number|null, errors: Object[]}} Result; each error has a
+ *   path, a machine-readable code (ERROR_CODES), a message and, when relevant, expected/received
+ */
+export function validatePayload(payload, { dialect = "row" } = {}) {
+  if (typeOf(payload) !== "object") {
+    return {
+      valid: false,
+      version: null,
+      errors: [
+        {
+          path: "",
+          code: ERROR_CODES.invalidType,
+          message: `Payload must be an object, got ${typeOf(payload)}`,
+          expected: ["object"],
+          received: typeOf(payload),
+        },
+      ],
+    };
+  }
+
+  const versionPath = dialect === "api" ? "schemaVersion" : "remotion.schema_version";
+  const version =
+    (dialect === "api" ? payload.schemaVersion : payload.remotion && payload.remotion.schema_version) ??
+    CURRENT_SCHEMA_VERSION;
+  if (!SUPPORTED_SCHEMA_VERSIONS.includes(version)) {
+    return {
+      valid: false,
+      version,
+      errors: [
+        {
+          path: versionPath,
+          code: ERROR_CODES.unsupportedVersion,
+          message: `Unsupported schema version ${JSON.stringify(version)}. Supported: ${SUPPORTED_SCHEMA_VERSIONS.join(", ")}`,
+          expected: SUPPORTED_SCHEMA_VERSIONS,
+          received: version,
+        },
+      ],
+    };
+  }
+
+  const schema = SCHEMAS[version][dialect];
+  if (!schema) {
+    throw new Error(`Unknown payload dialect "${dialect}"`);
+  }
+
+  const errors = [];
+  validateSection(payload, schema, "", { errors, dialect, key: DIALECT_KEYS[dialect] });
+
+  return { valid: errors.length === 0, version, errors };
+}
+
+/**
+ * One-line summary of validation errors, for logs and plain error messages
+ * @param {Object[]} errors Errors returned by validatePayload
+ * @returns {string} Summary
+ */
+export function formatPayloadErrors(errors) {
+  return `Invalid payload: ${errors.map((error) => `${error.message} [${error.code}]`).join("; ")}`;
+}
@@ -1,5 +1,7 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+// Same schema as the RunPod handler and the Express API (plain ES module shared with Node)
+import { validatePayload, formatPayloadErrors, PAYLOAD_ERROR_CODE } from '../_shared/payloadSchema.mjs'
 
 // WARNING: Hardcoding sensitive keys is NOT recommended for production.
 // Use environment variables instead.
@@ -28,9 +30,11 @@ serve(async (req) => {
 
   // 2. Parse Request Body
   let id: string | null = null
+  let quality: string | undefined = undefined
   try {
     const body = await req.json()
     id = body.id // Expecting { "id": "your_video_id" } in the request body
+    quality = body.quality // Optional "draft" to render a fast low-resolution preview
     if (!id) {
       throw new Error("Missing 'id' in request body")
     }
@@ -90,9 +94,36 @@ serve(async (req) => {
       input: {
         id: videoData.id, // Pass the ID
         ...videoData,    // Spread the rest of the fetched data
+        ...(quality ? { quality } : {}), // Overrides remotion.quality
       },
     }
 
+    // 5b. Validate the payload against the shared schema before any worker time is spent on it
+    const validation = validatePayload(runpodPayload.input, { dialect: 'row' })
+    if (!validation.valid) {
+      const message = formatPayloadErrors(validation.errors)
+      console.error(`Invalid payload for ID ${id}: ${message}`)
+      const { error: updateError } = await supabase
+        .from("generated_videos")
+        .update({
+          status: "failed",
+          error: {
+            message,
+            code: PAYLOAD_ERROR_CODE,
+            errors: validation.errors,
+            timestamp: new Date().toISOString(),
+          },
+        })
+        .eq("id", id)
+      if (updateError) {
+        console.error(`Failed to record the validation error for ID ${id}:`, updateError)
+      }
+      return new Response(JSON.stringify({ error: message, code: PAYLOAD_ERROR_CODE, errors: validation.errors }), {
+        status: 422,
+        headers: { 'Content-Type': 'application/json' },
+      })
+    }
+
     // 6. Trigger RunPod Worker
     console.log(`Sending request to RunPod endpoint: ${RUNPOD_ENDPOINT_URL}`);
     const runpodResponse = await fetch(RUNPOD_ENDPOINT_URL, {
@@ -171,4 +202,6 @@ Example Usage:
      -H "Content-Type: application/json" \
      -d '{"id": "<your_generated_video_id>"}'
 
+   Add "quality": "draft" to the body for a fast low-resolution draft render.
+
 */